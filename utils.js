@@ -128,7 +128,12 @@ utils = {
     //
     // - onerror
     //  Same as in the 'once' function.
-    initialize: function(pm, name, process, onerror) {
+    //
+    // - tags (array or string, optional)
+    //  Tags of the request (see 'utils.tags'); if the request is not
+    //  selected by tags, the script is not executed and the request
+    //  is skipped.
+    initialize: function(pm, name, process, onerror, tags) {
         if (process === undefined ||
             process === null ||
             (typeof process !== 'function')) {
@@ -139,9 +144,9 @@ utils = {
         if (onerror === undefined ||
             onerror === null ||
             (typeof onerror !== 'function')) {
-            utils.run.always(pm, name, process, null, false);
+            utils.run.always(pm, name, process, null, tags, false);
         } else {
-            utils.run.always(pm, name, process, onerror, false);
+            utils.run.always(pm, name, process, onerror, tags, false);
         }
     },
 
@@ -150,35 +155,73 @@ utils = {
     // will check the returned HTTP status code. It can also
     // call the code from the inline custom function if one is
     // specified and invoke special code in case of error (also
-    // if error handling code is provided).
+    // if error handling code is provided). In the data-driven mode
+    // (see 'utils.test.data'), expectations are read from the
+    // iteration data row and the test becomes negative if the row
+    // expects an error.
     //
     // PARAMETERS
     // - name
     //  Same as in the 'test.initialize' function.
     //
-    // - status (integer, optional, default=200)
-    //  Expected HTTP status code identifying success.
+    // - status (integer, array, string, or object, optional, default=200)
+    //  Expected HTTP status code identifying success. Can also hold an
+    //  array of acceptable status codes (e.g. [200, 201]), a status class
+    //  (e.g. '2xx'), or a range object (e.g. { min: 200, max: 299 });
+    //  array items can be status codes, classes, or ranges.
     //
     // - process (function, optional)
     //  Implements custom processing logic.
     //
     // - onerror (function, optional)
     //  Implements custom error handling logic.
-    positive: function(pm, name, status, process, onerror) {
+    //
+    // - tags (array or string, optional)
+    //  Tags of the test (see 'utils.tags'); if the test is not selected
+    //  by tags, it is reported as skipped.
+    positive: function(pm, name, status, process, onerror, tags) {
+        var row = utils.testData(pm);
+
+        // Iteration data row expecting an error turns it into a negative test.
+        if (row !== null && row.negative === true) {
+            utils.test.negative(pm, name, row.status, null, process, onerror, tags);
+            return;
+        }
+
         name = utils.name(pm, name);
+        tags = utils.tagged(pm, tags);
+
+        if (!utils.tags.selected(pm, tags)) {
+            utils.tagSkip(pm, "Test", name, tags);
+            return;
+        }
 
         pm.test(name, function() {
 
+            if (row !== null && row.status !== null) {
+                status = row.status;
+            }
+
             if (status === undefined || status === null) {
                 status = 200;
             }
 
+            var failure = null;
+
             try {
                 // Invoke pre-test code (console message, etc).
                 utils.prologue(pm, name);
 
+                // Collect response time for the run summary.
+                var timing = utils.timingMeasure(pm);
+
                 // If returned HTTP status code matches the expected value...
-                if (pm.response.code === status) {
+                if (utils.statusMatch(pm, status, pm.response.code)) {
+                    // Check property values expected by the iteration data row.
+                    if (row !== null) {
+                        utils.testProperties(pm, row.properties);
+                    }
+
                     // If a custom function with additional tests is specified...
                     if (process !== undefined &&
                         process !== null &&
@@ -187,12 +230,19 @@ utils = {
                         // Perform custom tests.
                         process();
                     }
+
+                    // Enforce response time budget (if one is set).
+                    if (timing.budget !== null) {
+                        utils.expect.response.time(pm, timing.budget);
+                    }
                 } else {
                     // Process error based on either problem details object
                     // or HTTP status code returned in the response.
                     utils.error(pm, status);
                 }
             } catch (e) {
+                failure = e.message;
+
                 // Call custom error handler (if one is specified)
                 // before performing standard error handling.
                 if (onerror !== undefined) {
@@ -202,6 +252,9 @@ utils = {
                 // Call standard error handler.
                 utils.exception(pm, e, name);
             } finally {
+                // Save test result for the run report.
+                utils.reportRecord(pm, "Test", name, failure, pm.response.responseTime);
+
                 // Invoke post-test code (console message, etc).
                 utils.epilogue(pm, name);
             }
@@ -214,44 +267,87 @@ utils = {
     // service code returned via the problem details object.
     // Just as with the 'positive' function, you can pass
     // custom functions with additional logic and error handling.
+    // In the data-driven mode (see 'utils.test.data'), expectations
+    // are read from the iteration data row and the test becomes
+    // positive if the row expects success.
     //
     // PARAMETERS
     // - name
     //  Same as in the 'test.initialize' function.
     //
-    // - status (integer, optional, default=400)
-    //  Expected HTTP status identifying error.
+    // - status (integer, array, string, or object, optional, default=400)
+    //  Expected HTTP status identifying error (see the 'status'
+    //  parameter of the 'test.positive' function for other options).
     //
-    // - serviceCode (string, optional)
+    // - serviceCode (string, array, regular expression, or object, optional)
     //  Extended property of the problem details object returned by
     //  the REST API on error that needs to be checked for a specific
     //  value. By default, the problem details property name is
     //  assumed to be 'serviceCode'. To use a different property name
-    //  add it in front of the expected value and separete the name
-    //  from the value by a colon (or equal sign), e.g.
-    //  'errorCode:InvalidInput' (or 'errorCode=InvalidInput').
+    //  (or a path to a nested property) add it in front of the expected
+    //  value and separete the name from the value by a colon (or equal
+    //  sign), e.g. 'errorCode:InvalidInput' (or 'errorCode=InvalidInput').
+    //  Pass an array of strings (or regular expressions) if any of
+    //  several codes is acceptable, or a regular expression the code
+    //  must match. For more options, pass an object with the following
+    //  properties (all optional except 'value'):
+    //    - property: property name or path (default='serviceCode'),
+    //    - value: same as the string, array or regular expression above,
+    //    - ignoreCase: set to true for case-insensitive comparisons,
+    //    - detail: substring (or regular expression) expected in the
+    //      'detail' property of the problem details object.
     //
     // - process
     //  Same as in the 'test.initialize' function.
     //
     // - onerror
     //  Same as in the 'test.initialize' function.
-    negative: function(pm, name, status, serviceCode, process, onerror) {
+    //
+    // - tags
+    //  Same as in the 'test.positive' function.
+    negative: function(pm, name, status, serviceCode, process, onerror, tags) {
+        var row = utils.testData(pm);
+
+        // Iteration data row expecting success turns it into a positive test.
+        if (row !== null && row.negative === false) {
+            utils.test.positive(pm, name, row.status, process, onerror, tags);
+            return;
+        }
+
         name = utils.name(pm, name);
+        tags = utils.tagged(pm, tags);
+
+        if (!utils.tags.selected(pm, tags)) {
+            utils.tagSkip(pm, "Test", name, tags);
+            return;
+        }
 
         pm.test(name, function() {
 
+            if (row !== null && row.status !== null) {
+                status = row.status;
+            }
+
+            if (row !== null && row.serviceCode !== null) {
+                serviceCode = row.serviceCode;
+            }
+
             // If HTTP status code is not specified, set it to 400.
             if (status === undefined || status === null) {
                 status = 400;
             }
 
+            var failure = null;
+
             try {
                 // Invoke pre-test code (console message, etc).
                 utils.prologue(pm, name);
 
+                // Collect response time for the run summary.
+                var timing = utils.timingMeasure(pm);
+
                 // First compare returned HTTP status code to the expected.
-                if (pm.response.code === status) {
+                if (utils.statusMatch(pm, status, pm.response.code)) {
                     // Since negative test case assumes an error,
                     // get the problem details object from the response.
                     var response = pm.response.json();
@@ -261,47 +357,12 @@ utils = {
                         serviceCode !== null &&
                         serviceCode !== "") {
 
-                        var errorCodePropertyName;
-	                    var errorCodePropertyValue;
-
-                        // If the service code property contains colon or equal sign,
-                        // it means that we mwy be using a non-default property name,
-                        // so we will get it from the string following the separator
-                        // character (the value can contain the separator character,
-                        // because only the first occurrence of the separator character
-                        // is considered to be a separator).
-	                    if (serviceCode.includes(":")) {
-		                    var keyValuePair = serviceCode.split(":");
-
-                            errorCodePropertyName  = keyValuePair[0];
-
-                            // Remove first item (name) from the array and join the rest.
-                            // to restore the original value in case it contained the
-                            // separator character.
-		                    errorCodePropertyValue = keyValuePair.slice(1).join(":");
-                        } else if (serviceCode.includes("=")) {
-                            var keyValuePair = serviceCode.split("=");
-
-                            errorCodePropertyName  = keyValuePair[0];
-
-                            // Remove first item (name) from the array and join the rest
-                            // to restore the original value in case it contained the
-                            // separator character.
-                            errorCodePropertyValue = keyValuePair.slice(1).join("=");
-                        } else {
-                            errorCodePropertyName  = utils.defaultServiceCodePropertyName;
-                            errorCodePropertyValue = serviceCode;
-                        }
-
-                        // Validate returned service code.
-                        pm.expect(response).to.have.property(errorCodePropertyName);
+                        utils.serviceCode(pm, response, serviceCode);
+                    }
 
-                        if (response[errorCodePropertyName] !== errorCodePropertyValue) {
-                            pm.expect.fail(
-                                "Expected response '" + errorCodePropertyName + "' property to be '" +
-                                errorCodePropertyValue + "' but got '" +
-                                response[errorCodePropertyName] + "'")
-                        }
+                    // Check property values expected by the iteration data row.
+                    if (row !== null) {
+                        utils.testProperties(pm, row.properties);
                     }
 
                     // If a custom function with additional tests is specified...
@@ -312,10 +373,19 @@ utils = {
                         // Perform custom tests.
                         process();
                     }
+
+                    // Enforce response time budget (if one is set).
+                    if (timing.budget !== null) {
+                        utils.expect.response.time(pm, timing.budget);
+                    }
                 } else {
-                    pm.response.to.have.status(status);
+                    // Process error based on either problem details object
+                    // or HTTP status code returned in the response.
+                    utils.error(pm, status);
                 }
             } catch (e) {
+                failure = e.message;
+
                 // Call custom error handler (if one is specified)
                 // before performing standard error handling.
                 if (onerror !== undefined) {
@@ -325,6 +395,9 @@ utils = {
                 // Call standard error handler.
                 utils.exception(pm, e, name);
             } finally {
+                // Save test result for the run report.
+                utils.reportRecord(pm, "Test", name, failure, pm.response.responseTime);
+
                 // Invoke post-test code (console message, etc).
                 utils.epilogue(pm, name);
             }
@@ -345,10 +418,21 @@ utils = {
     //
     // - onerror
     //  Same as in the 'test.initialize' function.
-    neutral: function(pm, name, process, onerror) {
+    //
+    // - tags
+    //  Same as in the 'test.positive' function.
+    neutral: function(pm, name, process, onerror, tags) {
         name = utils.name(pm, name);
+        tags = utils.tagged(pm, tags);
+
+        if (!utils.tags.selected(pm, tags)) {
+            utils.tagSkip(pm, "Test", name, tags);
+            return;
+        }
 
         pm.test(name, function() {
+            var failure = null;
+
             try {
                 // Invoke pre-test code (console message, etc).
                 utils.prologue(pm, name);
@@ -361,6 +445,8 @@ utils = {
                     process();
                 }
             } catch (e) {
+                failure = e.message;
+
                 // Call custom error handler (if one is specified)
                 // before performing standard error handling.
                 if (onerror !== undefined) {
@@ -370,10 +456,76 @@ utils = {
                 // Call standard error handler.
                 utils.exception(pm, e, name);
             } finally {
+                // Save test result for the run report.
+                utils.reportRecord(pm, "Test", name, failure, pm.response.responseTime);
+
                 // Invoke post-test code (console message, etc).
                 utils.epilogue(pm, name);
             }
         });
+    },
+
+    // DESCRIPTION
+    // Functions controlling the data-driven mode, in which every row of
+    // the data file (CSV or JSON) used by the collection run carries its
+    // own expectations. In this mode, 'utils.test.positive' and
+    // 'utils.test.negative' read the expected HTTP status, service code,
+    // and property values from the iteration data ('pm.iterationData')
+    // columns overriding the values passed to the functions (empty or
+    // missing columns are ignored). A row expecting an error status (or
+    // a service code) makes the test negative, and a row expecting a
+    // success status makes it positive, so the same test script works
+    // for all rows. Test names produced by 'utils.name' include the
+    // iteration number and row label, such as 'Create user [3: missing email]'.
+    data: {
+
+        // Collection variable holding the data-driven mode options.
+        variableName: "TEST_DATA_OPTIONS",
+
+        // Default names of the iteration data columns:
+        // - status: expected HTTP status code, class, or list of them
+        //   separated by commas (e.g. '200', '2xx', or '200,201'),
+        // - serviceCode: expected service code (same as the 'serviceCode'
+        //   parameter of the 'test.negative' function),
+        // - label: description of the row used in test names,
+        // - prefix: prefix of the columns holding expected property values;
+        //   the rest of the column name is the property path (e.g. the
+        //   'expect.address.city' column holds the expected value of the
+        //   'address.city' property).
+        columns: {
+            status: "expectedStatus",
+            serviceCode: "expectedServiceCode",
+            label: "label",
+            prefix: "expect."
+        },
+
+        // DESCRIPTION
+        // Turns on the data-driven mode for the test collection run
+        // (call it from 'utils.run.once' in the collection pre-request
+        // script).
+        //
+        // PARAMETERS
+        // - columns (object, optional)
+        //  Object with any of the properties defined in
+        //  'utils.test.data.columns' holding custom column names.
+        enable: function(pm, columns) {
+            var options = { columns: {} };
+
+            Object.keys(utils.test.data.columns).forEach(function(key) {
+                options.columns[key] = (columns !== undefined && columns !== null &&
+                    columns[key] !== undefined && columns[key] !== null) ?
+                    columns[key] : utils.test.data.columns[key];
+            });
+
+            pm.collectionVariables.set(utils.test.data.variableName, JSON.stringify(options));
+        },
+
+        // DESCRIPTION
+        // Turns off the data-driven mode.
+        disable: function(pm) {
+            pm.collectionVariables.unset(utils.test.data.variableName);
+        }
+    // End of 'utils.test.data' functions.
     }
     // End of 'utils.test' functions.
     },
@@ -382,23 +534,120 @@ utils = {
     // Functions to be used in request workflow.
     run: {
 
+    // Local variable holding the name of the innermost folder
+    // which script was invoked via 'utils.run.always'.
+    folderVariableName: "FOLDER_NAME",
+
+    // Collection variable holding the identity of the test collection
+    // run: identifier, start time, and the state used to detect the
+    // start of the next run.
+    variableName: "RUN_IDENTITY",
+
+    // Variable holding the 'utils.run.once' guards of the current run.
+    onceVariableName: "RUN_ONCE",
+
+    // Scope of the variable holding the 'utils.run.once' guards:
+    // 'environment', 'collection', or 'global'.
+    scope: "collection",
+
+    // Number of milliseconds without activity after which the next
+    // request starts a new run (unless the run is started explicitly).
+    timeout: 3600000,
+
+    // DESCRIPTION
+    // Starts a new test collection run: generates the run identifier
+    // (which also resets all 'utils.run.once' guards) and saves the
+    // start time. Returns the run identity object holding the 'id' and
+    // 'started' properties.
+    //
+    // Call it from the pre-request script of the first request of the
+    // collection (or folder) being run when 'pm.info.iteration' is 0
+    // (do not call it from 'utils.run.once', because the new run resets
+    // the guard, or from a request that is re-queued, e.g. polled).
+    //
+    // If the run is not started explicitly, a new run is assumed when:
+    // - the run identity does not exist,
+    // - the iteration number decreases,
+    // - the number of iterations changes,
+    // - the iteration data row differs from the row seen in the same
+    //   iteration of the previous run (e.g. the data file changed),
+    // - no request executed for the number of milliseconds defined by
+    //   'utils.run.timeout'.
+    // This fallback cannot detect every new run (e.g. a collection run
+    // repeated with the same data within the timeout continues the
+    // previous run).
+    start: function(pm) {
+        var run = {
+            id: utils.dataUuid(pm),
+            started: Date.now(),
+            updated: Date.now(),
+            iteration: pm.info.iteration || 0,
+            iterations: utils.runIterations(pm),
+            data: utils.runData(pm)
+        };
+
+        pm.collectionVariables.set(utils.run.variableName, JSON.stringify(run));
+
+        utils.trace.log(pm, "Run " + run.id + " started", "debug", "run");
+
+        return run;
+    },
+
+    // DESCRIPTION
+    // Returns the identifier of the test collection run (starts a new
+    // run if needed).
+    id: function(pm) {
+        return utils.runState(pm).id;
+    },
+
+    // DESCRIPTION
+    // Resets the 'utils.run.once' guard, so the script will be executed
+    // again (e.g. to repeat initialization after changing settings).
+    //
+    // PARAMETERS
+    // - name (string, optional)
+    //  Name of the script passed to 'utils.run.once' (resets the guards
+    //  for all iterations); if not specified, all guards are reset.
+    reset: function(pm, name) {
+        var guards = utils.runGuards(pm);
+
+        guards.done = (name === undefined || name === null) ? [] :
+            guards.done.filter(function(guard) {
+                return guard.name !== name;
+            });
+
+        utils.variableScope(pm, utils.run.scope).set(utils.run.onceVariableName, JSON.stringify(guards));
+    },
+
     // DESCRITION
-    // Executes code in the inline function once per collection run,
-    // which can be handy for pre-request scripts defined in folders
-    // for one-time initializations.
+    // Executes code in the inline function once per collection run
+    // (or once per iteration), which can be handy for pre-request
+    // scripts defined in folders for one-time initializations. The
+    // guards preventing repeated execution are saved in the variable
+    // defined by 'utils.run.onceVariableName' (in the scope defined by
+    // 'utils.run.scope') for the current run identifier, so they are
+    // reset when a new run starts (see 'utils.run.start').
     //
     // PARAMETERS
     // - name (string)
     //  Descriptive name describing the collection being tested.
-    //  This name will be used as the name of the environment variable
-    //  to prevent consecutive test runs.
+    //  This name will be used to identify the guard preventing
+    //  repeated execution in the same run.
     //
     // - process (function)
     //  Inline function with the code that must be executed once.
     //
     // - onerror
     //  Inline function with the code that must be executed on error.
-    once: function(pm, name, process, onerror) {
+    //
+    // - tags (array or string, optional)
+    //  Tags of the script (see 'utils.tags'); if the script is not
+    //  selected by tags, it is not executed.
+    //
+    // - iteration (boolean, optional, default=false)
+    //  Set to true to execute code once per iteration (e.g. to
+    //  initialize data read from the iteration data row).
+    once: function(pm, name, process, onerror, tags, iteration = false) {
         if (process === undefined ||
             process === null ||
             (typeof process !== 'function')) {
@@ -411,18 +660,39 @@ utils = {
             return;
         }
 
-        var firstRun = pm.variables.get(name);
+        var guards = utils.runGuards(pm);
+        var guard  = {
+            name: name,
+            iteration: iteration ? (pm.info.iteration || 0) : null
+        };
+
+        var done = guards.done.some(function(item) {
+            return item.name === guard.name && item.iteration === guard.iteration;
+        });
 
-        if (firstRun !== undefined) {
+        if (done) {
             return;
         }
 
-        var failed = false;
+        // Mark the script as executed before running it, so it is not
+        // repeated after a failure.
+        guards.done.push(guard);
 
-        try {
-            utils.trace.log(pm, name + ": Script started", 1);
+        utils.variableScope(pm, utils.run.scope).set(utils.run.onceVariableName, JSON.stringify(guards));
 
-            pm.variables.set(name, false);
+        tags = utils.tagList(pm, tags);
+
+        if (tags.length > 0 && !utils.tags.selected(pm, tags)) {
+            utils.tagSkip(pm, "Script", name, tags);
+            return;
+        }
+
+        var failed  = false;
+        var failure = null;
+        var started = Date.now();
+
+        try {
+            utils.trace.log(pm, name + ": Script started", "info", "run");
 
             if (process !== undefined &&
                 process !== null &&
@@ -431,7 +701,8 @@ utils = {
             }
         }
         catch (e) {
-            failed = true;
+            failed  = true;
+            failure = e.message;
 
             // Call custom error handler (if one is specified)
             // before performing standard error handling.
@@ -442,10 +713,13 @@ utils = {
             // Call standard error handler.
             utils.exception(pm, e, name);
         } finally {
+            // Save script result for the run report.
+            utils.reportRecord(pm, "Script", name, failure, Date.now() - started);
+
             if (failed) {
                 console.error(name + ": Script failed");
             } else {
-                utils.trace.log(pm, name + ": Script ended", 2);
+                utils.trace.log(pm, name + ": Script ended", "debug", "run");
             }
         }
     },
@@ -464,24 +738,52 @@ utils = {
     //
     // - onerror
     //  Same as in the 'run.once' function.
-    always: function(pm, name, process, onerror, folder=true) {
+    //
+    // - tags (array or string, optional)
+    //  Tags applying to all tests of the current request (see
+    //  'utils.tags'); if any of the tags is excluded, the script is not
+    //  executed and the request is skipped (otherwise, the tests are
+    //  selected by these tags combined with their own tags).
+    always: function(pm, name, process, onerror, tags, folder=true) {
         if (process === undefined ||
             process === null ||
             (typeof process !== 'function')) {
             return;
         }
 
-        var failed = false;
-        var type   = folder ? "Script" : "Pre-request";
+        // Remember the innermost folder for the current request.
+        if (folder) {
+            pm.variables.set(utils.run.folderVariableName, name);
+        }
+
+        var failed  = false;
+        var failure = null;
+        var started = Date.now();
+        var type    = folder ? "Script" : "Pre-request";
+
+        // Pass tags to the tests of the current request.
+        tags = utils.tagged(pm, tags);
+
+        if (tags.length > 0) {
+            pm.variables.set(utils.tags.localVariableName, JSON.stringify(tags));
+
+            // Tags of the tests can still select the request unless
+            // the request tags are excluded.
+            if (utils.tagExcluded(pm, tags)) {
+                utils.tagSkip(pm, type, name, tags, true);
+                return;
+            }
+        }
 
         try
         {
-            utils.trace.log(pm, name + ": " + type + " started", 1);
+            utils.trace.log(pm, name + ": " + type + " started", "info", "run");
 
             process();
         }
         catch (e) {
-            failed = true;
+            failed  = true;
+            failure = e.message;
 
             // Call custom error handler (if one is specified)
             // before performing standard error handling.
@@ -492,16 +794,331 @@ utils = {
             // Call standard error handler.
             utils.exception(pm, e, name);
         } finally {
+            // Save script result for the run report.
+            utils.reportRecord(pm, type, name, failure, Date.now() - started);
+
             if (failed) {
                 console.error(name + ": " + type + " failed");
             } else {
-                utils.trace.log(pm, name + ": " + type + " ended", 2);
+                utils.trace.log(pm, name + ": " + type + " ended", "debug", "run");
             }
         }
     }
     // End of 'utils.run' functions.
     },
 
+    // DESCRIPTION
+    // Functions selecting tests by tags. The primary test functions and
+    // folder level functions accept the optional 'tags' parameter holding
+    // an array of tags (or a string with tags separated by commas), such
+    // as ['smoke', 'slow']. Tags passed to 'utils.run.always' (and
+    // 'utils.test.initialize') apply to all tests of the current request.
+    //
+    // Tests are selected by the tag expression held in the variable
+    // defined by 'utils.tags.variableName' (in any scope, so it can be
+    // passed via the '--env-var' or '--global-var' options of newman).
+    // The expression is a list of terms separated by commas or spaces:
+    //
+    // - tag: selects tests having the tag,
+    // - tag1+tag2: selects tests having all of the tags,
+    // - !tag (or -tag): excludes tests having the tag.
+    //
+    // If the expression holds any selecting terms, a test is selected
+    // if it matches at least one of them (so untagged tests are not
+    // selected); excluding terms always take precedence. Tags are
+    // case-insensitive. For example, 'smoke, !destructive' selects the
+    // 'smoke' tests except the 'destructive' ones.
+    //
+    // Tests that are not selected are reported via 'pm.test.skip' (and
+    // saved for the run report as skipped). Tests are selected by their
+    // own tags combined with the request tags, so the request is only
+    // skipped (along with its folder level and pre-request scripts, if
+    // supported by the Postman version) if the request tags are excluded.
+    tags: {
+
+    // Variable holding the tag expression.
+    variableName: "TEST_TAGS",
+
+    // Local variable holding the tags passed to 'utils.run.always'
+    // for the current request.
+    localVariableName: "REQUEST_TAGS",
+
+    // DESCRIPTION
+    // Returns true if the tags are selected by the tag expression (or
+    // if the expression is not set).
+    //
+    // PARAMETERS
+    // - tags (array or string)
+    //  Tags of the test (or script).
+    selected: function(pm, tags) {
+        var terms = utils.tagTerms(pm);
+
+        if (terms.length === 0) {
+            return true;
+        }
+
+        if (utils.tagExcluded(pm, tags)) {
+            return false;
+        }
+
+        tags = utils.tagList(pm, tags).map(function(tag) {
+            return tag.toLowerCase();
+        });
+
+        var included = terms.filter(function(term) {
+            return !/^[!-]/.test(term);
+        });
+
+        return included.length === 0 || included.some(function(term) {
+            return term.split("+").every(function(tag) {
+                return tag === "" || tags.indexOf(tag) >= 0;
+            });
+        });
+    }
+    // End of 'utils.tags' functions.
+    },
+
+    // DESCRIPTION
+    // Functions obtaining OAuth 2.0 access tokens from the token endpoint
+    // via 'pm.sendRequest' (using the client credentials, password, or
+    // refresh token grant) and authorizing requests. Tokens are cached
+    // in a variable until they expire (minus a safety skew) and refreshed
+    // transparently (via the refresh token grant, if the token endpoint
+    // returned a refresh token). Call them from 'utils.run.always' in the
+    // collection pre-request script.
+    //
+    // All auth functions accept the 'options' object with the following
+    // properties (defaults are defined in 'utils.auth.defaults'):
+    //
+    // - url: URL of the token endpoint (required),
+    // - grant: 'client_credentials', 'password', or 'refresh_token',
+    // - clientId: client identifier,
+    // - clientSecret: client secret,
+    // - clientAuthentication: 'body' (client credentials are sent as
+    //   form parameters) or 'basic' (client credentials are sent in the
+    //   'Authorization' header),
+    // - scope: requested scope (space-separated),
+    // - audience: requested audience,
+    // - username: resource owner name (password grant),
+    // - password: resource owner password (password grant),
+    // - refreshToken: refresh token (refresh token grant),
+    // - parameters: object holding additional form parameters,
+    // - variable: name of the variable caching the token,
+    // - variableScope: 'environment', 'collection', 'global', or 'local',
+    // - tokenVariable: name of the variable (in the same scope) receiving
+    //   the access token, so it can be used via '{{variable}}' syntax,
+    // - header: name of the header receiving the access token (null
+    //   to skip setting the header),
+    // - skew: number of seconds before expiration when the token is
+    //   considered expired,
+    // - lifetime: number of seconds the token is valid if the token
+    //   endpoint does not return expiration (null for no expiration),
+    // - name: name of the test reporting failures,
+    // - stop: set to false to continue the test run if the token
+    //   cannot be obtained.
+    //
+    // String values can reference variables via '{{variable}}' syntax.
+    auth: {
+
+    // Default options.
+    defaults: {
+        grant: "client_credentials",
+        clientAuthentication: "body",
+        variable: "AUTH_TOKEN",
+        variableScope: "collection",
+        tokenVariable: null,
+        header: "Authorization",
+        skew: 60,
+        lifetime: 3600,
+        name: "Access token",
+        stop: true
+    },
+
+    // DESCRIPTION
+    // Obtains the access token (or reuses the cached one) and sets the
+    // authorization header of the current request. If the token cannot
+    // be obtained, adds a failed test with the error description returned
+    // by the token endpoint and (unless disabled) stops the test run.
+    //
+    // PARAMETERS
+    // - options (object)
+    //  Token options (see 'utils.auth').
+    //
+    // - callback (function, optional)
+    //  Function called after the header is set; receives the token object
+    //  (see 'utils.auth.token').
+    authorize: function(pm, options, callback) {
+        var settings = utils.authOptions(pm, options);
+
+        utils.auth.token(pm, options, function(token) {
+            if (settings.header !== undefined && settings.header !== null && settings.header !== "") {
+                pm.request.headers.upsert({
+                    key: settings.header,
+                    value: token.tokenType + " " + token.accessToken
+                });
+            }
+
+            if (callback !== undefined && callback !== null && (typeof callback === 'function')) {
+                callback(token);
+            }
+        });
+    },
+
+    // DESCRIPTION
+    // Obtains the access token (or reuses the cached one) without setting
+    // the request header. If the token cannot be obtained, adds a failed
+    // test with the error description returned by the token endpoint and
+    // (unless disabled) stops the test run.
+    //
+    // PARAMETERS
+    // - options (object)
+    //  Token options (see 'utils.auth').
+    //
+    // - callback (function)
+    //  Function receiving the token object with the following properties:
+    //  - accessToken: access token,
+    //  - tokenType: token type (such as 'Bearer'),
+    //  - refreshToken: refresh token (or null),
+    //  - scope: granted scope (or null),
+    //  - expiresAt: expiration timestamp (or null).
+    token: function(pm, options, callback) {
+        options = utils.authOptions(pm, options);
+
+        var scope  = utils.variableScope(pm, options.variableScope);
+        var cached = utils.authCached(pm, scope, options.variable);
+        var done   = function(token) {
+            if (options.tokenVariable !== undefined && options.tokenVariable !== null &&
+                options.tokenVariable !== "") {
+                scope.set(options.tokenVariable, token.accessToken);
+            }
+
+            if (callback !== undefined && callback !== null && (typeof callback === 'function')) {
+                callback(token);
+            }
+        };
+
+        if (cached !== null && (cached.expiresAt === null ||
+            Date.now() < cached.expiresAt - options.skew * 1000)) {
+            utils.trace.log(pm, options.name + ": Using cached access token" +
+                ((cached.expiresAt === null) ? "" : " (expires in " +
+                    Math.round((cached.expiresAt - Date.now()) / 1000) + " s)"), "debug", "auth");
+
+            done(cached);
+            return;
+        }
+
+        // Refresh expired token before falling back to the configured grant.
+        var grants = [];
+
+        if (cached !== null && cached.refreshToken && options.grant !== "refresh_token") {
+            grants.push("refresh_token");
+        }
+
+        grants.push(options.grant);
+
+        var fail = function(grant, description) {
+            scope.unset(options.variable);
+
+            pm.test(options.name, function() {
+                try {
+                    utils.prologue(pm, options.name);
+
+                    pm.expect.fail("Cannot obtain access token (" + grant + " grant): " + description);
+                } catch (e) {
+                    utils.exception(pm, e, options.name);
+                } finally {
+                    utils.epilogue(pm, options.name);
+                }
+            });
+
+            if (options.stop) {
+                postman.setNextRequest(null);
+            }
+        };
+
+        var next = function(index) {
+            var grant   = grants[index];
+            var refresh = (cached !== null && cached.refreshToken) ? cached.refreshToken : options.refreshToken;
+            var request = utils.authRequest(pm, options, grant, refresh);
+
+            utils.trace.log(pm, options.name + ": Requesting access token (" + grant +
+                " grant) from " + request.url, "info", "auth");
+
+            pm.sendRequest(request, function(error, response) {
+                var token       = null;
+                var description = null;
+
+                // Errors thrown from the callback would not reach the
+                // script, so they must be reported as test failures.
+                try {
+                    if (error !== null && error !== undefined) {
+                        description = "cannot call token endpoint " + request.url + ": " + error;
+                    } else {
+                        token = utils.authToken(pm, options, response, refresh);
+
+                        if (token === null) {
+                            description = utils.authError(pm, request, response);
+                        }
+                    }
+                } catch (e) {
+                    token       = null;
+                    description = e.message;
+                }
+
+                if (token !== null) {
+                    scope.set(options.variable, JSON.stringify(token));
+
+                    utils.trace.log(pm, options.name + ": Obtained access token (" + grant + " grant)" +
+                        ((token.expiresAt === null) ? "" : " expiring in " +
+                            Math.round((token.expiresAt - Date.now()) / 1000) + " s"), "info", "auth");
+
+                    done(token);
+                    return;
+                }
+
+                if (index + 1 < grants.length) {
+                    utils.trace.log(pm, options.name + ": Cannot refresh access token: " + description +
+                        "; requesting new token", "warn", "auth");
+
+                    try {
+                        next(index + 1);
+                    } catch (e) {
+                        fail(grants[index + 1], e.message);
+                    }
+
+                    return;
+                }
+
+                fail(grant, description);
+            });
+        };
+
+        next(0);
+    },
+
+    // DESCRIPTION
+    // Removes the cached token (e.g. to force getting a new token after
+    // changing credentials).
+    //
+    // PARAMETERS
+    // - options (object, optional)
+    //  Token options (only the 'variable', 'variableScope', and
+    //  'tokenVariable' properties are used).
+    clear: function(pm, options) {
+        options = utils.authOptions(pm, options);
+
+        var scope = utils.variableScope(pm, options.variableScope);
+
+        scope.unset(options.variable);
+
+        if (options.tokenVariable !== undefined && options.tokenVariable !== null &&
+            options.tokenVariable !== "") {
+            scope.unset(options.tokenVariable);
+        }
+    }
+    // End of 'utils.auth' functions.
+    },
+
     // DESCRIPTION
     // Data validation fuinctions that are split in subgroups targeting
     // specific objects being validated: response, property, string, etc.
@@ -628,499 +1245,7822 @@ utils = {
             unique: function(pm) {
                 utils.expect.response.many(pm, 2, -1);
             }
-        }
-    // End of 'utils.expect.response' functions.
-    },
+        },
 
-    // DESCRIPTION
-    // Functions validating object properties.
-    // String-specific validation functions are grouped under the
-    // 'utils.expect.property.string' subcluss.
-    property: {
+        // Default options of the 'utils.expect.response.page' function.
+        pageDefaults: {
+            // Path to the array of items (by default, the response itself
+            // if it is an array, or its 'items' property).
+            items: null,
 
-        // DESCRIPTION
-        // Expects object to have a named property holding any value
-        // including null.
-        //
-        // PARAMETERS
-        // - data (object)
-        //  Data object which property is being checked.
-        //
-        // - name (string)
-        //  Property name.
-        exist: function(pm, data, name) {
-            pm.expect(data).to.have.property(name);
+            // Requested page size (if not specified, it will be taken from
+            // the request query parameter named in 'limitParameter').
+            limit: null,
+
+            // Name of the request query parameter holding the page size.
+            limitParameter: "limit",
+
+            // Path to the total number of items (null to ignore).
+            total: "total",
+
+            // Path to the offset of the first item of the page (if not
+            // returned, it will be taken from the request query parameter
+            // named in 'offsetParameter').
+            offset: "offset",
+
+            // Name of the request query parameter holding the offset.
+            offsetParameter: "offset",
+
+            // Paths to the next page cursor or URL (the 'Link' header
+            // with 'rel="next"' is also checked).
+            next: ["nextCursor", "next"],
+
+            // Paths to the previous page cursor or URL (the 'Link' header
+            // with 'rel="prev"' is also checked).
+            prev: ["prevCursor", "prev", "previous"],
+
+            // Name of the request query parameter holding the cursor.
+            cursorParameter: "cursor",
+
+            // Set to true (false) to expect the next page link to be
+            // present (absent); null skips the check.
+            hasNext: null,
+
+            // Set to true (false) to expect the previous page link to be
+            // present (absent); null skips the check.
+            hasPrev: null,
+
+            // Set to true (or an object with the 'key', 'maxPages', and
+            // 'name' properties) to walk all pages (see below).
+            walk: false
         },
 
-        // DESCRIPTION
-        // Expects object property to exist and equal the specified value.
+        // DESCRITION
+        // Expects response to return a page of a paginated collection:
+        // either an array or an object (envelope) holding the array of
+        // items along with the total number of items, the offset, and the
+        // next and previous page cursors or links (the 'Link' header, as
+        // defined in RFC 8288, is also supported). The page must not have
+        // more items than the requested limit, the offset and the number
+        // of items must be consistent with the total (the last page must
+        // end at the total), and the next and previous page links can be
+        // expected to be present or absent. Returns the array of items.
         //
-        // PARAMETERS
-        // - data
-        //  Same as in 'utils.expect.property.exist'.
+        // If the 'walk' option is set, the function will also request
+        // all following pages via 'pm.sendRequest' (using the headers of
+        // the current request) and report the result as a separate test
+        // that fails if any page returns an error or an invalid page, if
+        // any item appears more than once, or if the overall number of
+        // items does not match the total. The 'walk' option can be set to
+        // an object with the following properties:
         //
-        // - name
-        //  Same as in 'utils.expect.property.exist'.
+        // - key: path to the property uniquely identifying an item
+        //   (default: 'id'; items without it are compared as JSON text),
+        // - maxPages: maximum number of pages (default: 100),
+        // - name: name of the test (default: request name followed by
+        //   '(all pages)').
         //
-        // - value (object)
-        //  Expected value (can be null).
-        equal: function(pm, data, name, value) {
-            utils.expect.property.exist(pm, data, name);
-
-            if (value !== undefined) {
-                if (value === null) {
-                    pm.expect(data[name]).to.be.null;
-                } else {
-                    var msg = "Expected '" + name +
-                        "' property to equal '" + value +
-                        "' but got '" + data[name] +
-                        "'";
+        // PARAMETERS
+        // - options (object, optional)
+        //  Object with any of the properties defined in
+        //  'utils.expect.response.pageDefaults'.
+        page: function(pm, options) {
+            var response = null;
 
-                    pm.expect(data[name]).to.equal(value, msg);
-                }
+            try
+            {
+                response = pm.response.json();
+            }
+            catch (e)
+            {
+                pm.expect.fail("Response must return a valid JSON object: " + e.message);
             }
-        },
 
-        // DESCRIPTION
-        // Negative property check functions.
+            options = utils.pageOptions(pm, options);
+
+            var page = utils.pageCheck(pm, response, pm.response.headers,
+                String(pm.request.url), options);
+
+            if (options.hasNext === true && page.next === null) {
+                pm.expect.fail("Expected response to have a link to the next page");
+            } else if (options.hasNext === false && page.next !== null) {
+                pm.expect.fail("Expected response to not have a link to the next page but got '" +
+                    page.next + "'");
+            }
+
+            if (options.hasPrev === true && page.prev === null) {
+                pm.expect.fail("Expected response to have a link to the previous page");
+            } else if (options.hasPrev === false && page.prev !== null) {
+                pm.expect.fail("Expected response to not have a link to the previous page but got '" +
+                    page.prev + "'");
+            }
+
+            if (options.walk) {
+                utils.pageWalk(pm, page, options);
+            }
+
+            return page.items;
+        },
+
+        // DESCRITION
+        // Expects response to return a JSON element that matches
+        // the specified JSON schema.
+        //
+        // PARAMETERS
+        // - schema
+        //  Same as in 'utils.expect.schema'.
+        schema: function(pm, schema) {
+            var response = null;
+
+            try
+            {
+                response = pm.response.json();
+            }
+            catch (e)
+            {
+                pm.expect.fail("Response must return a valid JSON object: " + e.message);
+            }
+
+            utils.expect.schema(pm, response, schema, "Response");
+        },
+
+        // DESCRITION
+        // Expects response time to not exceed the specified value.
+        //
+        // PARAMETERS
+        // - max (positive integer)
+        //  Maximum response time in milliseconds.
+        time: function(pm, max) {
+            var time = pm.response.responseTime;
+
+            if (max === undefined || max === null || max === "" ||
+                typeof max === 'boolean' || isNaN(Number(max))) {
+                pm.expect.fail("Expected response time budget to be a number but got " +
+                    ((max === undefined) ? "undefined" : JSON.stringify(max)));
+            }
+
+            if (time > Number(max)) {
+                pm.expect.fail("Expected response time to be at most " + max +
+                    " ms but got " + time + " ms");
+            }
+        }
+    // End of 'utils.expect.response' functions.
+    },
+
+    // DESCRIPTION
+    // Expects data object to match the specified JSON schema (draft-07
+    // or 2020-12). Supported keywords include '$ref' (local references),
+    // 'type', 'enum', 'const', 'required', 'properties',
+    // 'patternProperties', 'additionalProperties', 'items',
+    // 'prefixItems', 'contains', 'format', 'pattern', length, size and
+    // range limits, 'allOf', 'anyOf', 'oneOf', 'not', and 'if/then/else'.
+    // All violations are reported at once along with the JSON pointers
+    // of the invalid elements.
+    //
+    // PARAMETERS
+    // - data (object)
+    //  Data object being validated.
+    //
+    // - schema (object or string)
+    //  JSON schema object, JSON schema text, or the name of the
+    //  collection variable holding JSON schema text.
+    //
+    // - label (string, optional, default="Data")
+    //  Name of the validated object used in the failure message.
+    schema: function(pm, data, schema, label = "Data") {
+        var name = null;
+
+        if (typeof schema === 'string') {
+            if (!/^\s*[{\[]/.test(schema)) {
+                name   = schema;
+                schema = pm.collectionVariables.get(name);
+
+                if (schema === undefined || schema === null) {
+                    schema = pm.variables.get(name);
+                }
+
+                if (schema === undefined || schema === null || schema === "") {
+                    pm.expect.fail("JSON schema variable '" + name + "' is not defined");
+                }
+            }
+
+            if (typeof schema === 'string') {
+                try {
+                    schema = JSON.parse(schema);
+                } catch (e) {
+                    pm.expect.fail("Invalid JSON schema" +
+                        (name === null ? "" : " in variable '" + name + "'") + ": " + e.message);
+                }
+            }
+        }
+
+        var errors = utils.schemaValidate(pm, data, schema);
+
+        if (errors.length > 0) {
+            var message = label + " does not match JSON schema" +
+                (name === null ? "" : " '" + name + "'") + " (" +
+                errors.length + " violation(s)):";
+
+            errors.forEach(function(error) {
+                message += "\n" + (error.pointer === "" ? "(root)" : error.pointer) +
+                    ": " + error.message;
+            });
+
+            pm.expect.fail(message);
+        }
+    },
+
+    // Default options of the 'utils.expect.snapshot' function.
+    snapshotDefaults: {
+        // Variable scope of the baseline: 'environment', 'collection',
+        // 'global', or 'local'.
+        scope: "collection",
+
+        // Paths to the volatile properties which values are masked, such
+        // as 'id', 'items[*].id', or '**.createdAt' ('*' matches any
+        // property name or array index; '**' matches any number of them).
+        mask: [],
+
+        // Names of the formats (see 'utils.formats') identifying volatile
+        // values to be masked anywhere in the data, such as 'uuid' or
+        // 'date-time'.
+        formats: [],
+
+        // Set to true to replace the baseline with the current data.
+        update: false,
+
+        // Maximum number of differences listed in the failure message.
+        maxChanges: 20
+    },
+
+    // Variable which, when set to 'true' in any scope, replaces all
+    // baselines with the current data (use it to accept intended changes).
+    snapshotUpdateVariableName: "SNAPSHOT_UPDATE",
+
+    // Value replacing masked values.
+    snapshotMask: "<masked>",
+
+    // DESCRIPTION
+    // Expects data (or the JSON element returned in the response) to match
+    // the baseline (snapshot) saved in the named variable. The data is
+    // normalized before comparison: object properties are sorted by name
+    // and the values of volatile properties (such as identifiers,
+    // timestamps, or entity tags) are masked (masked properties still
+    // must be present). If the baseline does not exist (or the update
+    // flag is set), the normalized data is saved as the new baseline and
+    // the check passes. Otherwise, all differences are reported as
+    // added (+), removed (-), and changed (~) paths. Returns the
+    // normalized data.
+    //
+    // PARAMETERS
+    // - variable (string)
+    //  Name of the variable holding the baseline.
+    //
+    // - options (object, optional)
+    //  Object with any of the properties defined in
+    //  'utils.expect.snapshotDefaults' and the 'data' property holding
+    //  the data to check (default: the JSON element returned in the
+    //  response).
+    snapshot: function(pm, variable, options) {
+        var settings = {};
+
+        Object.keys(utils.expect.snapshotDefaults).forEach(function(key) {
+            settings[key] = (options !== undefined && options !== null &&
+                options[key] !== undefined && options[key] !== null) ?
+                options[key] : utils.expect.snapshotDefaults[key];
+        });
+
+        var data = (options !== undefined && options !== null) ? options.data : undefined;
+
+        if (data === undefined) {
+            try {
+                data = pm.response.json();
+            } catch (e) {
+                pm.expect.fail("Response must return a valid JSON object: " + e.message);
+            }
+        }
+
+        settings.formats.forEach(function(format) {
+            if (!Object.prototype.hasOwnProperty.call(utils.formats, format)) {
+                throw new Error("Invalid snapshot format '" + format + "': expected one of '" +
+                    Object.keys(utils.formats).join("', '") + "'");
+            }
+        });
+
+        var masks = settings.mask.map(function(path) {
+            return utils.propertyPath(pm, path);
+        });
+
+        var current = utils.snapshotNormalize(pm, data, [], masks, settings.formats);
+        var scope   = utils.variableScope(pm, settings.scope);
+
+        var update = settings.update === true || [pm.variables, pm.collectionVariables,
+            pm.environment, pm.globals].some(function(variables) {
+                return String(variables.get(utils.expect.snapshotUpdateVariableName)).toLowerCase() === "true";
+            });
+
+        var baseline = scope.get(variable);
+
+        if (update || baseline === undefined || baseline === null || baseline === "") {
+            scope.set(variable, JSON.stringify(current));
+
+            utils.trace.log(pm, "Saved snapshot in " + settings.scope + " variable '" +
+                variable + "'", "info", "snapshot");
+
+            return current;
+        }
+
+        try {
+            baseline = JSON.parse(baseline);
+        } catch (e) {
+            pm.expect.fail("Snapshot variable '" + variable + "' does not hold valid JSON: " + e.message);
+        }
+
+        var changes = [];
+
+        utils.snapshotDiff(pm, baseline, current, [], changes);
+
+        if (changes.length > 0) {
+            var listed = changes.slice(0, settings.maxChanges);
+
+            pm.expect.fail("Expected data to match snapshot '" + variable + "' but got " +
+                changes.length + " difference(s):\n" + listed.join("\n") +
+                ((changes.length > listed.length) ?
+                    "\n... and " + (changes.length - listed.length) + " more" : ""));
+        }
+
+        return current;
+    },
+
+    // Default options of the 'utils.expect.jwt' function.
+    jwtDefaults: {
+        // Allowed clock skew between the token issuer and the test
+        // client in seconds (applied to the 'exp', 'nbf', and 'iat'
+        // claims).
+        skew: 60,
+
+        // Set to false to allow tokens without the 'exp' claim (or
+        // expired tokens).
+        exp: true
+    },
+
+    // DESCRIPTION
+    // Decodes the JSON web token (JWT) and expects its header and claims
+    // to hold the specified values. The token must consist of three
+    // base64url-encoded parts and must not be expired (unless the 'exp'
+    // option is false); the 'nbf' (not before) and 'iat' (issued at)
+    // claims, if present, must not be in the future. All time checks
+    // allow for the clock skew. If the secret is specified, the HS256
+    // signature is verified via CryptoJS. Returns the object holding the
+    // decoded 'header' and 'payload' and the 'signature' part.
+    //
+    // PARAMETERS
+    // - source (string or object)
+    //  Token or an object identifying its location:
+    //  - property: name (or path) of the property holding the token in
+    //    the JSON element returned in the response (or in the 'data'
+    //    object), such as 'access_token',
+    //  - data: data object holding the property,
+    //  - header: name of the response header holding the token (the
+    //    'Bearer' prefix is ignored),
+    //  - variable: name of the variable holding the token.
+    //
+    // - expected (object, optional)
+    //  Object with any of the properties defined in
+    //  'utils.expect.jwtDefaults' and the following properties:
+    //  - alg: expected algorithm (or array of allowed algorithms),
+    //  - kid: expected key identifier (or true if the 'kid' header
+    //    field must be present),
+    //  - iss: expected issuer,
+    //  - sub: expected subject,
+    //  - aud: expected audience (or array of audiences that all must
+    //    be present in the 'aud' claim),
+    //  - scope: scope (or array of scopes) that must be granted in the
+    //    space-separated 'scope' claim or in the 'scp' claim,
+    //  - claims: object holding the expected values of other claims
+    //    (claims not listed in the object are ignored; nested objects
+    //    are matched the same way),
+    //  - secret: shared secret used to verify the HS256 signature.
+    jwt: function(pm, source, expected) {
+        var settings = {};
+
+        if (expected === undefined || expected === null) {
+            expected = {};
+        }
+
+        Object.keys(utils.expect.jwtDefaults).forEach(function(key) {
+            settings[key] = (expected[key] !== undefined && expected[key] !== null) ?
+                expected[key] : utils.expect.jwtDefaults[key];
+        });
+
+        var token = utils.jwtToken(pm, source);
+        var jwt   = utils.jwtDecode(pm, token.value, token.label);
+        var now   = Date.now() / 1000;
+        var skew  = utils.propertyNumeric(pm, settings.skew, "skew");
+
+        if (expected.alg !== undefined && expected.alg !== null) {
+            var algorithms = Array.isArray(expected.alg) ? expected.alg : [expected.alg];
+
+            if (algorithms.indexOf(jwt.header.alg) < 0) {
+                pm.expect.fail("Expected " + token.label + " to be signed with " +
+                    algorithms.map(function(alg) { return "'" + alg + "'"; }).join(" or ") +
+                    " algorithm but got '" + jwt.header.alg + "'");
+            }
+        }
+
+        if (expected.kid === true) {
+            if (jwt.header.kid === undefined || jwt.header.kid === null || jwt.header.kid === "") {
+                pm.expect.fail("Expected " + token.label + " to have 'kid' header field");
+            }
+        } else if (expected.kid !== undefined && expected.kid !== null &&
+            jwt.header.kid !== expected.kid) {
+            pm.expect.fail("Expected " + token.label + " to have 'kid' header field equal to '" +
+                expected.kid + "' but got " + JSON.stringify(jwt.header.kid));
+        }
+
+        ["iss", "sub"].forEach(function(claim) {
+            if (expected[claim] !== undefined && expected[claim] !== null &&
+                jwt.payload[claim] !== expected[claim]) {
+                pm.expect.fail("Expected " + token.label + " to have '" + claim + "' claim equal to '" +
+                    expected[claim] + "' but got " + JSON.stringify(jwt.payload[claim]));
+            }
+        });
+
+        if (expected.aud !== undefined && expected.aud !== null) {
+            var audiences = Array.isArray(jwt.payload.aud) ? jwt.payload.aud :
+                ((jwt.payload.aud === undefined || jwt.payload.aud === null) ? [] : [jwt.payload.aud]);
+
+            (Array.isArray(expected.aud) ? expected.aud : [expected.aud]).forEach(function(aud) {
+                if (audiences.indexOf(aud) < 0) {
+                    pm.expect.fail("Expected " + token.label + " to have '" + aud +
+                        "' audience but got " + JSON.stringify(jwt.payload.aud));
+                }
+            });
+        }
+
+        if (expected.scope !== undefined && expected.scope !== null) {
+            var granted = jwt.payload.scope;
+
+            if (granted === undefined || granted === null) {
+                granted = jwt.payload.scp;
+            }
+
+            granted = Array.isArray(granted) ? granted :
+                ((granted === undefined || granted === null) ? [] : String(granted).split(/\s+/));
+
+            (Array.isArray(expected.scope) ? expected.scope : String(expected.scope).split(/\s+/))
+                .forEach(function(scope) {
+                    if (granted.indexOf(scope) < 0) {
+                        pm.expect.fail("Expected " + token.label + " to grant '" + scope +
+                            "' scope but got " + JSON.stringify(granted.join(" ")));
+                    }
+                });
+        }
+
+        // Validate time claims (NumericDate values are seconds since epoch).
+        ["exp", "nbf", "iat"].forEach(function(claim) {
+            if (jwt.payload[claim] !== undefined && typeof jwt.payload[claim] !== 'number') {
+                pm.expect.fail("Expected " + token.label + " to have numeric '" + claim +
+                    "' claim but got " + JSON.stringify(jwt.payload[claim]));
+            }
+        });
+
+        if (settings.exp) {
+            if (jwt.payload.exp === undefined) {
+                pm.expect.fail("Expected " + token.label + " to have 'exp' claim");
+            }
+
+            if (jwt.payload.exp <= now - skew) {
+                pm.expect.fail("Expected " + token.label + " to expire in the future but it expired at " +
+                    new Date(jwt.payload.exp * 1000).toISOString());
+            }
+        }
+
+        if (jwt.payload.nbf !== undefined && jwt.payload.nbf > now + skew) {
+            pm.expect.fail("Expected " + token.label + " to be valid now but it is not valid before " +
+                new Date(jwt.payload.nbf * 1000).toISOString());
+        }
+
+        if (jwt.payload.iat !== undefined) {
+            if (jwt.payload.iat > now + skew) {
+                pm.expect.fail("Expected " + token.label + " to be issued in the past but it was issued at " +
+                    new Date(jwt.payload.iat * 1000).toISOString());
+            }
+
+            if (jwt.payload.exp !== undefined && jwt.payload.iat > jwt.payload.exp) {
+                pm.expect.fail("Expected " + token.label + " to be issued before it expires but got " +
+                    "'iat' " + jwt.payload.iat + " after 'exp' " + jwt.payload.exp);
+            }
+        }
+
+        if (expected.claims !== undefined && expected.claims !== null) {
+            Object.keys(expected.claims).forEach(function(claim) {
+                if (!(claim in jwt.payload) || !utils.arrayPartial(pm, jwt.payload[claim], expected.claims[claim])) {
+                    pm.expect.fail("Expected " + token.label + " to have '" + claim + "' claim matching " +
+                        JSON.stringify(expected.claims[claim]) + " but got " +
+                        ((claim in jwt.payload) ? JSON.stringify(jwt.payload[claim]) : "none"));
+                }
+            });
+        }
+
+        if (expected.secret !== undefined && expected.secret !== null) {
+            if (jwt.header.alg !== "HS256") {
+                pm.expect.fail("Expected " + token.label + " to be signed with 'HS256' algorithm " +
+                    "to verify signature but got '" + jwt.header.alg + "'");
+            }
+
+            var parts     = token.value.split(".");
+            var signature = CryptoJS.HmacSHA256(parts[0] + "." + parts[1], String(expected.secret))
+                .toString(CryptoJS.enc.Base64)
+                .replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+
+            if (signature !== parts[2]) {
+                pm.expect.fail("Expected " + token.label + " to have valid HS256 signature");
+            }
+        }
+
+        return jwt;
+    },
+
+    // DESCRIPTION
+    // Functions validating HTTP response headers. Header names are
+    // case-insensitive; if the response holds multiple headers with the
+    // same name, their values are combined into a comma-separated list.
+    header: {
+
+        // DESCRIPTION
+        // Expects response to have the named header.
+        //
+        // PARAMETERS
+        // - name (string)
+        //  Header name.
+        exist: function(pm, name) {
+            utils.headerValue(pm, name, true);
+        },
+
+        // DESCRIPTION
+        // Expects response header to exist and equal the specified value.
+        //
+        // PARAMETERS
+        // - name
+        //  Same as in 'utils.expect.header.exist'.
+        //
+        // - value (string)
+        //  Expected header value.
+        //
+        // - ignoreCase (boolean, default=false)
+        //  Set to 'true' for case-insensitive comparisons.
+        equal: function(pm, name, value, ignoreCase = false) {
+            var actual = utils.headerValue(pm, name, true);
+
+            var msg = "Expected '" + name +
+                "' header to equal '" + value +
+                "' but got '" + actual +
+                "'";
+
+            if (ignoreCase) {
+                pm.expect(actual.toUpperCase()).to.equal(String(value).toUpperCase(),
+                    msg + " (case-insensitive)");
+            } else {
+                pm.expect(actual).to.equal(String(value), msg + " (case-sensitive)");
+            }
+        },
+
+        // DESCRIPTION
+        // Expects response header to exist and match the specified
+        // regular expression.
+        //
+        // PARAMETERS
+        // - name
+        //  Same as in 'utils.expect.header.exist'.
+        //
+        // - value (regular expression)
+        //  Regular expression.
+        match: function(pm, name, value) {
+            var actual = utils.headerValue(pm, name, true);
+
+            var msg = "Expected '" + name +
+                "' header to match regular expression '" + value +
+                "' but got '" + actual +
+                "'";
+
+            pm.expect(actual).to.match(value, msg);
+        },
+
+        // DESCRIPTION
+        // Expects the 'Content-Type' header to hold the specified media
+        // type. Media type, parameter names, and charset values are
+        // compared case-insensitively and the order of parameters does
+        // not matter. Parameters that are not specified in the expected
+        // value are ignored, so 'application/json' will match
+        // 'application/json; charset=utf-8'. Use '*' as a subtype to
+        // match any subtype, e.g. 'text/*'.
+        //
+        // PARAMETERS
+        // - value (string)
+        //  Expected media type with optional parameters.
+        contentType: function(pm, value) {
+            var actual   = utils.headerValue(pm, "Content-Type", true);
+            var expected = utils.headerMediaType(pm, value);
+            var received = utils.headerMediaType(pm, actual);
+
+            var msg = "Expected 'Content-Type' header to be '" + value +
+                "' but got '" + actual + "'";
+
+            var type    = expected.type.split("/");
+            var subtype = received.type.split("/");
+
+            if (type[0] !== subtype[0] || (type[1] !== "*" && type[1] !== subtype[1])) {
+                pm.expect.fail(msg);
+            }
+
+            Object.keys(expected.parameters).forEach(function(parameter) {
+                if (received.parameters[parameter] !== expected.parameters[parameter]) {
+                    pm.expect.fail(msg + " (parameter '" + parameter + "' does not match)");
+                }
+            });
+        },
+
+        // DESCRIPTION
+        // Expects the 'Location' header to hold a valid URL (typically
+        // returned with the '201 Created' status code) that matches the
+        // specified pattern and/or ends with the identifier of the
+        // created resource.
+        //
+        // PARAMETERS
+        // - pattern (string or regular expression, optional)
+        //  Regular expression the URL must match, or the expected URL
+        //  path (or the absolute URL) that can include the '{id}'
+        //  placeholder for the resource identifier, e.g. '/users/{id}'.
+        //
+        // - id (string or integer, optional)
+        //  Identifier of the created resource. If the pattern does not
+        //  include the '{id}' placeholder, the last segment of the URL
+        //  path must equal the identifier.
+        //
+        // - absolute (boolean, optional)
+        //  Set to 'true' to require an absolute URL or to 'false' to
+        //  require a relative URL (by default, both are allowed).
+        location: function(pm, pattern, id, absolute) {
+            var actual = utils.headerValue(pm, "Location", true);
+            var msg    = "Expected 'Location' header ";
+
+            var match = /^([A-Za-z][A-Za-z0-9+.-]*:\/\/[^\/?#]*)?([^?#]*)/.exec(actual);
+            var isAbsolute = match[1] !== undefined;
+            var path       = match[2];
+
+            if (!isAbsolute && !utils.formats["uri-reference"](pm, actual)) {
+                pm.expect.fail(msg + "to be a valid URL but got '" + actual + "'");
+            }
+
+            if (absolute === true && !isAbsolute) {
+                pm.expect.fail(msg + "to be an absolute URL but got '" + actual + "'");
+            }
+
+            if (absolute === false && isAbsolute) {
+                pm.expect.fail(msg + "to be a relative URL but got '" + actual + "'");
+            }
+
+            var hasId = id !== undefined && id !== null;
+
+            if (pattern instanceof RegExp) {
+                if (!pattern.test(actual)) {
+                    pm.expect.fail(msg + "to match regular expression '" + pattern +
+                        "' but got '" + actual + "'");
+                }
+            } else if (pattern !== undefined && pattern !== null && pattern !== "") {
+                var expected = hasId ?
+                    pattern.replace(/\{id\}/g, encodeURIComponent(String(id))) : pattern;
+
+                // Without the identifier, the '{id}' placeholder matches any segment.
+                var regex = new RegExp("^" + expected.split("{id}").map(function(part) {
+                    return utils.regexEscape(pm, part);
+                }).join("[^/?#]+") + "/?$");
+
+                if (!regex.test(/^[A-Za-z][A-Za-z0-9+.-]*:\/\//.test(expected) ?
+                    actual.split(/[?#]/)[0] : path)) {
+                    pm.expect.fail(msg + "to match '" + expected + "' but got '" + actual + "'");
+                }
+            }
+
+            if (hasId && (typeof pattern !== 'string' || !pattern.includes("{id}"))) {
+                var segments = path.replace(/\/+$/, "").split("/");
+                var last     = decodeURIComponent(segments[segments.length - 1]);
+
+                if (last !== String(id)) {
+                    pm.expect.fail(msg + "to end with resource identifier '" + id +
+                        "' but got '" + actual + "'");
+                }
+            }
+        },
+
+        // DESCRIPTION
+        // Expects the list-valued header, such as 'Vary', 'Allow', or
+        // 'Cache-Control', to hold all specified items (items are compared
+        // case-insensitively and the order does not matter).
+        //
+        // PARAMETERS
+        // - name
+        //  Same as in 'utils.expect.header.exist'.
+        //
+        // - values (string or array of strings)
+        //  Expected list item(s).
+        //
+        // - exact (boolean, optional, default=false)
+        //  Set to 'true' to also fail if the header holds any other items.
+        list: function(pm, name, values, exact = false) {
+            var actual = utils.headerValue(pm, name, true);
+            var list   = utils.headerList(pm, actual);
+            var items  = list.map(function(item) {
+                return item.toLowerCase();
+            });
+
+            values = (Array.isArray(values) ? values : [values]).map(function(value) {
+                return String(value);
+            });
+
+            var expected = values.map(function(value) {
+                return value.toLowerCase();
+            });
+
+            var missing = values.filter(function(value) {
+                return !items.includes(value.toLowerCase());
+            });
+
+            if (missing.length > 0) {
+                pm.expect.fail("Expected '" + name + "' header to include '" +
+                    missing.join("', '") + "' but got '" + actual + "'");
+            }
+
+            if (exact) {
+                var unexpected = list.filter(function(item) {
+                    return !expected.includes(item.toLowerCase());
+                });
+
+                if (unexpected.length > 0) {
+                    pm.expect.fail("Expected '" + name + "' header to not include '" +
+                        unexpected.join("', '") + "' but got '" + actual + "'");
+                }
+            }
+        },
+
+        // DESCRIPTION
+        // Expects the header holding a list of directives, such as
+        // 'Cache-Control', to have the named directive and, optionally,
+        // the directive to hold the specified value.
+        //
+        // PARAMETERS
+        // - name
+        //  Same as in 'utils.expect.header.exist'.
+        //
+        // - directive (string)
+        //  Directive name, such as 'max-age' (case-insensitive).
+        //
+        // - value (string or integer, optional)
+        //  Expected directive value.
+        directive: function(pm, name, directive, value) {
+            var actual     = utils.headerValue(pm, name, true);
+            var directives = utils.headerDirectives(pm, actual);
+            var key        = directive.toLowerCase();
+
+            if (!Object.prototype.hasOwnProperty.call(directives, key)) {
+                pm.expect.fail("Expected '" + name + "' header to have directive '" +
+                    directive + "' but got '" + actual + "'");
+            }
+
+            if (value !== undefined && value !== null &&
+                directives[key] !== String(value)) {
+                pm.expect.fail("Expected '" + name + "' header directive '" + directive +
+                    "' to equal '" + value + "' but got '" + directives[key] + "'");
+            }
+        },
+
+        // DESCRIPTION
+        // Negative header check functions.
         not: {
             // DESCRIPTION
-            // Expects object to not have a named property holding any value
-            // including null.
+            // Expects response to not have the named header.
             //
             // PARAMETERS
-            // - data (object)
-            //  Data object which property is being checked.
-            //
-            // - name (string)
-            //  Property name.
-            exist: function(pm, data, name) {
-                pm.expect(data).to.not.have.property(name);
+            // - name
+            //  Same as in 'utils.expect.header.exist'.
+            exist: function(pm, name) {
+                var actual = utils.headerValue(pm, name);
+
+                if (actual !== undefined) {
+                    pm.expect.fail("Expected '" + name +
+                        "' header to not exist but got '" + actual + "'");
+                }
             },
 
-            // DESCRIPTION
-            // Expects object property to exist and equal the specified value.
-            //
-            // PARAMETERS
-            // - data
-            //  Same as in 'utils.expect.property.exist'.
-            //
-            // - name
-            //  Same as in 'utils.expect.property.exist'.
-            //
-            // - value (object)
-            //  Expected value (can be null).
-            equal: function(pm, data, name, value) {
-                utils.expect.property.exist(pm, data, name);
+            // DESCRIPTION
+            // Expects response header to exist and not equal the
+            // specified value.
+            //
+            // PARAMETERS
+            // - name
+            //  Same as in 'utils.expect.header.exist'.
+            //
+            // - value
+            //  Same as in 'utils.expect.header.equal'.
+            //
+            // - ignoreCase
+            //  Same as in 'utils.expect.header.equal'.
+            equal: function(pm, name, value, ignoreCase = false) {
+                var actual = utils.headerValue(pm, name, true);
+
+                var msg = "Expected '" + name +
+                    "' header to not equal '" + value +
+                    "' but got '" + actual +
+                    "'";
+
+                if (ignoreCase) {
+                    pm.expect(actual.toUpperCase()).to.not.equal(String(value).toUpperCase(),
+                        msg + " (case-insensitive)");
+                } else {
+                    pm.expect(actual).to.not.equal(String(value), msg + " (case-sensitive)");
+                }
+            },
+
+            // DESCRIPTION
+            // Expects response header to exist and not match the
+            // specified regular expression.
+            //
+            // PARAMETERS
+            // - name
+            //  Same as in 'utils.expect.header.exist'.
+            //
+            // - value
+            //  Same as in 'utils.expect.header.match'.
+            match: function(pm, name, value) {
+                var actual = utils.headerValue(pm, name, true);
+
+                var msg = "Expected '" + name +
+                    "' header to not match regular expression '" + value +
+                    "' but got '" + actual +
+                    "'";
+
+                pm.expect(actual).to.not.match(value, msg);
+            },
+
+            // DESCRIPTION
+            // Expects the list-valued header to not hold any of the
+            // specified items (also passes if the header is missing).
+            //
+            // PARAMETERS
+            // - name
+            //  Same as in 'utils.expect.header.exist'.
+            //
+            // - values
+            //  Same as in 'utils.expect.header.list'.
+            list: function(pm, name, values) {
+                var actual = utils.headerValue(pm, name);
+
+                if (actual === undefined) {
+                    return;
+                }
+
+                var items = utils.headerList(pm, actual).map(function(item) {
+                    return item.toLowerCase();
+                });
+
+                var found = (Array.isArray(values) ? values : [values]).filter(function(value) {
+                    return items.includes(String(value).toLowerCase());
+                });
+
+                if (found.length > 0) {
+                    pm.expect.fail("Expected '" + name + "' header to not include '" +
+                        found.join("', '") + "' but got '" + actual + "'");
+                }
+            },
+
+            // DESCRIPTION
+            // Expects the header holding a list of directives to not have
+            // the named directive (also passes if the header is missing).
+            //
+            // PARAMETERS
+            // - name
+            //  Same as in 'utils.expect.header.exist'.
+            //
+            // - directive
+            //  Same as in 'utils.expect.header.directive'.
+            directive: function(pm, name, directive) {
+                var actual = utils.headerValue(pm, name);
+
+                if (actual !== undefined &&
+                    Object.prototype.hasOwnProperty.call(utils.headerDirectives(pm, actual),
+                        directive.toLowerCase())) {
+                    pm.expect.fail("Expected '" + name + "' header to not have directive '" +
+                        directive + "' but got '" + actual + "'");
+                }
+            }
+        }
+    // End of 'utils.expect.header' functions.
+    },
+
+    // DESCRIPTION
+    // Functions validating problem details objects returned in error
+    // responses (see RFC 7807 and RFC 9457).
+    problem: {
+
+        // DESCRITION
+        // Expects response to return a valid problem details object:
+        // the content type must be 'application/problem+json', the data
+        // must be a JSON object, the 'status' member (if present) must
+        // match the HTTP status code, the 'type' and 'instance' members
+        // (if present) must be URI references, the 'title' and 'detail'
+        // members (if present) must be strings, and the 'errors' member
+        // (if present) must be an array of objects.
+        //
+        // PARAMETERS
+        // - strict (boolean, optional, default=false)
+        //  Set to 'true' to also require the 'type', 'title', and 'status'
+        //  members to be present.
+        valid: function(pm, strict = false) {
+            utils.expect.problem.contentType(pm);
+
+            var problem = utils.problemDetails(pm);
+
+            if (strict) {
+                ["type", "title", "status"].forEach(function(member) {
+                    if (!(member in problem)) {
+                        pm.expect.fail("Expected problem details object to have '" +
+                            member + "' member");
+                    }
+                });
+            }
+
+            if ("status" in problem) {
+                utils.expect.problem.status(pm);
+            }
+
+            ["type", "instance"].forEach(function(member) {
+                if (member in problem &&
+                    (typeof problem[member] !== 'string' ||
+                     !utils.formats["uri-reference"](pm, problem[member]))) {
+                    pm.expect.fail("Expected problem details '" + member +
+                        "' member to be a URI reference but got '" + problem[member] + "'");
+                }
+            });
+
+            ["title", "detail"].forEach(function(member) {
+                if (member in problem && typeof problem[member] !== 'string') {
+                    pm.expect.fail("Expected problem details '" + member +
+                        "' member to be a string but got '" + problem[member] + "'");
+                }
+            });
+
+            if ("errors" in problem) {
+                utils.problemErrors(pm, problem);
+            }
+        },
+
+        // DESCRITION
+        // Expects response to have the 'application/problem+json'
+        // content type (media type parameters, such as charset,
+        // are ignored).
+        contentType: function(pm) {
+            var contentType = pm.response.headers.get("Content-Type");
+
+            if (contentType === undefined || contentType === null ||
+                contentType.split(";")[0].trim().toLowerCase() !== "application/problem+json") {
+                pm.expect.fail("Expected response to have content type " +
+                    "'application/problem+json' but got '" + contentType + "'");
+            }
+        },
+
+        // DESCRITION
+        // Expects problem details 'status' member to equal the HTTP status
+        // code of the response (or the specified value).
+        //
+        // PARAMETERS
+        // - status (integer, optional)
+        //  Expected status (defaults to the HTTP status code of the response).
+        status: function(pm, status) {
+            var problem = utils.problemDetails(pm);
+
+            if (status === undefined || status === null) {
+                status = pm.response.code;
+            }
+
+            utils.expect.property.equal(pm, problem, "status", status);
+        },
+
+        // DESCRITION
+        // Expects problem details 'type' member to be a URI reference
+        // that equals or matches the specified value. If the member is
+        // missing, its value is assumed to be 'about:blank' (as defined
+        // by the RFC).
+        //
+        // PARAMETERS
+        // - value (string or regular expression, optional)
+        //  Expected value or regular expression.
+        type: function(pm, value) {
+            var problem = utils.problemDetails(pm);
+            var type    = ("type" in problem) ? problem.type : "about:blank";
+
+            if (typeof type !== 'string' || !utils.formats["uri-reference"](pm, type)) {
+                pm.expect.fail("Expected problem details 'type' member to be " +
+                    "a URI reference but got '" + type + "'");
+            }
+
+            utils.problemMember(pm, { type: type }, "type", value);
+        },
+
+        // DESCRITION
+        // Expects problem details 'title' member to exist and equal
+        // or match the specified value.
+        //
+        // PARAMETERS
+        // - value (string or regular expression, optional)
+        //  Expected value or regular expression.
+        title: function(pm, value) {
+            utils.problemMember(pm, utils.problemDetails(pm), "title", value);
+        },
+
+        // DESCRITION
+        // Expects problem details 'detail' member to exist and equal
+        // or match the specified value.
+        //
+        // PARAMETERS
+        // - value (string or regular expression, optional)
+        //  Expected value or regular expression.
+        detail: function(pm, value) {
+            utils.problemMember(pm, utils.problemDetails(pm), "detail", value);
+        },
+
+        // DESCRITION
+        // Expects problem details 'instance' member to exist and equal
+        // or match the specified value.
+        //
+        // PARAMETERS
+        // - value (string or regular expression, optional)
+        //  Expected value or regular expression.
+        instance: function(pm, value) {
+            utils.problemMember(pm, utils.problemDetails(pm), "instance", value);
+        },
+
+        // DESCRITION
+        // Expects problem details 'errors' array (RFC 9457) to have an
+        // entry referencing the specified field and, optionally,
+        // holding the specified detail.
+        //
+        // PARAMETERS
+        // - field (string)
+        //  JSON pointer of the rejected field, such as '#/age' or '/age'
+        //  (compared to the 'pointer' member of the error entry), property
+        //  path, such as 'address.zip' (converted to a JSON pointer), or
+        //  the name of the rejected query parameter or header (compared to
+        //  the 'parameter' or 'header' member of the error entry).
+        //
+        // - detail (string or regular expression, optional)
+        //  Expected substring or regular expression matching the
+        //  'detail' member of the error entry.
+        error: function(pm, field, detail) {
+            var errors  = utils.problemErrors(pm, utils.problemDetails(pm));
+            var matches = utils.problemFind(pm, errors, field);
+
+            if (matches.length === 0) {
+                pm.expect.fail("Expected problem details 'errors' to reference field '" +
+                    field + "' but got " + utils.problemFields(pm, errors));
+            }
+
+            if (detail !== undefined && detail !== null &&
+                !matches.some(function(error) {
+                    return typeof error.detail === 'string' &&
+                        ((detail instanceof RegExp) ?
+                            detail.test(error.detail) : error.detail.includes(detail));
+                })) {
+                pm.expect.fail("Expected problem details error for field '" + field +
+                    "' to have detail '" + detail + "' but got '" +
+                    matches.map(function(error) { return error.detail; }).join("', '") + "'");
+            }
+        },
+
+        // DESCRITION
+        // Expects problem details 'errors' array (RFC 9457) to reference
+        // all specified fields.
+        //
+        // PARAMETERS
+        // - fields (array of strings)
+        //  Rejected fields (see the 'field' parameter of the
+        //  'utils.expect.problem.error' function).
+        //
+        // - exact (boolean, optional, default=false)
+        //  Set to 'true' to also fail if any other fields are referenced.
+        errors: function(pm, fields, exact = false) {
+            var errors  = utils.problemErrors(pm, utils.problemDetails(pm));
+            var missing = fields.filter(function(field) {
+                return utils.problemFind(pm, errors, field).length === 0;
+            });
+
+            if (missing.length > 0) {
+                pm.expect.fail("Expected problem details 'errors' to reference field(s) '" +
+                    missing.join("', '") + "' but got " + utils.problemFields(pm, errors));
+            }
+
+            if (exact) {
+                var unexpected = errors.filter(function(error) {
+                    return !fields.some(function(field) {
+                        return utils.problemFind(pm, [error], field).length > 0;
+                    });
+                });
+
+                if (unexpected.length > 0) {
+                    pm.expect.fail("Expected problem details 'errors' to reference only field(s) '" +
+                        fields.join("', '") + "' but also got " + utils.problemFields(pm, unexpected));
+                }
+            }
+        },
+
+        // DESCRIPTION
+        // Negative problem details check functions.
+        not: {
+            // DESCRITION
+            // Expects problem details 'errors' array (RFC 9457) to not
+            // have an entry referencing the specified field (also passes
+            // if the 'errors' array is missing).
+            //
+            // PARAMETERS
+            // - field
+            //  Same as in 'utils.expect.problem.error'.
+            error: function(pm, field) {
+                var problem = utils.problemDetails(pm);
+
+                if (!("errors" in problem)) {
+                    return;
+                }
+
+                var errors = utils.problemErrors(pm, problem);
+
+                if (utils.problemFind(pm, errors, field).length > 0) {
+                    pm.expect.fail("Expected problem details 'errors' to not reference field '" +
+                        field + "'");
+                }
+            }
+        }
+    // End of 'utils.expect.problem' functions.
+    },
+
+    // DESCRIPTION
+    // Functions validating object properties.
+    // String-specific validation functions are grouped under the
+    // 'utils.expect.property.string' subcluss.
+    property: {
+
+        // DESCRIPTION
+        // Expects object to have a named property holding any value
+        // including null.
+        //
+        // PARAMETERS
+        // - data (object)
+        //  Data object which property is being checked.
+        //
+        // - name (string)
+        //  Property name or path to a nested property, such as
+        //  'order.customer.address[0].zip' (see 'utils.propertyPath').
+        exist: function(pm, data, name) {
+            utils.propertyValue(pm, data, name);
+        },
+
+        // DESCRIPTION
+        // Expects object property to exist and equal the specified value.
+        //
+        // PARAMETERS
+        // - data
+        //  Same as in 'utils.expect.property.exist'.
+        //
+        // - name
+        //  Same as in 'utils.expect.property.exist'.
+        //
+        // - value (object)
+        //  Expected value (can be null).
+        equal: function(pm, data, name, value) {
+            var actual = utils.propertyValue(pm, data, name);
+
+            if (value !== undefined) {
+                if (value === null) {
+                    pm.expect(actual, "Expected '" + name +
+                        "' property to be null").to.be.null;
+                } else {
+                    var msg = "Expected '" + name +
+                        "' property to equal '" + value +
+                        "' but got '" + actual +
+                        "'";
+
+                    pm.expect(actual).to.equal(value, msg);
+                }
+            }
+        },
+
+        // DESCRIPTION
+        // Expects object property to exist and hold a value of the
+        // specified type.
+        //
+        // PARAMETERS
+        // - data
+        //  Same as in 'utils.expect.property.exist'.
+        //
+        // - name
+        //  Same as in 'utils.expect.property.exist'.
+        //
+        // - type (string or array)
+        //  Expected type: 'string', 'number', 'integer', 'boolean',
+        //  'array', 'object', or 'null' (or an array of types if any of
+        //  them is allowed).
+        type: function(pm, data, name, type) {
+            var actual = utils.propertyValue(pm, data, name);
+            var types  = utils.typeNames(pm, type);
+
+            if (!types.some(function(type) { return utils.typeIs(pm, actual, type); })) {
+                pm.expect.fail("Expected '" + name +
+                    "' property to be of type '" + types.join("' or '") +
+                    "' but got '" + utils.typeOf(pm, actual) + "'");
+            }
+        },
+
+        // DESCRIPTION
+        // Expects object property to exist and hold a string value
+        // in the specified format.
+        //
+        // PARAMETERS
+        // - data
+        //  Same as in 'utils.expect.property.exist'.
+        //
+        // - name
+        //  Same as in 'utils.expect.property.exist'.
+        //
+        // - format (string)
+        //  Expected format: 'date-time' (ISO 8601), 'date', 'time',
+        //  'email', 'uri', 'uri-reference', 'uuid', 'ipv4', 'ipv6',
+        //  'hostname', 'base64', or 'semver' (see 'utils.formats').
+        //
+        // - version (integer, optional)
+        //  Expected UUID version (1-8; only applies to the 'uuid' format).
+        format: function(pm, data, name, format, version) {
+            var actual      = utils.propertyValue(pm, data, name);
+            var description = utils.formatName(pm, format, version);
+
+            if (typeof actual !== 'string') {
+                pm.expect.fail("Expected '" + name +
+                    "' property to be a string in " + description +
+                    " format but got '" + utils.typeOf(pm, actual) + "'");
+            }
+
+            if (!utils.formatCheck(pm, actual, format, version)) {
+                pm.expect.fail("Expected '" + name +
+                    "' property to be in " + description +
+                    " format but got '" + actual + "'");
+            }
+        },
+
+        // DESCRIPTION
+        // Negative property check functions.
+        not: {
+            // DESCRIPTION
+            // Expects object to not have a named property holding any value
+            // including null. If any part of the property path does not
+            // exist, the property is considered to not exist.
+            //
+            // PARAMETERS
+            // - data (object)
+            //  Data object which property is being checked.
+            //
+            // - name (string)
+            //  Same as in 'utils.expect.property.exist'.
+            exist: function(pm, data, name) {
+                var result = utils.propertyResolve(pm, data, name);
+
+                if (result.exists) {
+                    pm.expect.fail("Expected '" + result.path +
+                        "' property to not exist but got '" +
+                        result.value + "'");
+                }
+            },
+
+            // DESCRIPTION
+            // Expects object property to exist and equal the specified value.
+            //
+            // PARAMETERS
+            // - data
+            //  Same as in 'utils.expect.property.exist'.
+            //
+            // - name
+            //  Same as in 'utils.expect.property.exist'.
+            //
+            // - value (object)
+            //  Expected value (can be null).
+            equal: function(pm, data, name, value) {
+                var actual = utils.propertyValue(pm, data, name);
+
+                if (value !== undefined) {
+                    if (value === null) {
+                        pm.expect(actual, "Expected '" + name +
+                            "' property to not be null").to.not.be.null;
+                    } else {
+                        var msg = "Expected '" + name +
+                            "' property to not equal '" + value +
+                            "' but got '" + actual +
+                            "'";
+
+                        pm.expect(actual).to.not.equal(value, msg);
+                    }
+                }
+            },
+
+            // DESCRIPTION
+            // Expects object property to exist and hold a value that is
+            // not of the specified type.
+            //
+            // PARAMETERS
+            // - data
+            //  Same as in 'utils.expect.property.exist'.
+            //
+            // - name
+            //  Same as in 'utils.expect.property.exist'.
+            //
+            // - type
+            //  Same as in 'utils.expect.property.type'.
+            type: function(pm, data, name, type) {
+                var actual = utils.propertyValue(pm, data, name);
+                var types  = utils.typeNames(pm, type);
+
+                if (types.some(function(type) { return utils.typeIs(pm, actual, type); })) {
+                    pm.expect.fail("Expected '" + name +
+                        "' property to not be of type '" + types.join("' or '") +
+                        "' but got '" + actual + "'");
+                }
+            },
+
+            // DESCRIPTION
+            // Expects object property to exist and hold a value that is
+            // not a string in the specified format.
+            //
+            // PARAMETERS
+            // - data
+            //  Same as in 'utils.expect.property.exist'.
+            //
+            // - name
+            //  Same as in 'utils.expect.property.exist'.
+            //
+            // - format
+            //  Same as in 'utils.expect.property.format'.
+            //
+            // - version
+            //  Same as in 'utils.expect.property.format'.
+            format: function(pm, data, name, format, version) {
+                var actual      = utils.propertyValue(pm, data, name);
+                var description = utils.formatName(pm, format, version);
+
+                if (typeof actual === 'string' && utils.formatCheck(pm, actual, format, version)) {
+                    pm.expect.fail("Expected '" + name +
+                        "' property to not be in " + description +
+                        " format but got '" + actual + "'");
+                }
+            }
+        },
+
+        // DESCRIPTION
+        // Functions validating string properties.
+        string: {
+
+            // DESCRIPTION
+            // Expects the string object property to exist and
+            // be exactly the same as the specified value.
+            //
+            // PARAMETERS
+            // - data
+            //  Same as in 'utils.expect.property.exist'.
+            //
+            // - name
+            //  Same as in 'utils.expect.property.exist'.
+            //
+            // - value (string)
+            //  Expected string value (can be null).
+            //
+            // - ignoreCase (boolean, default=false)
+            //  Set to 'true' for case-insensitive comparisons.
+            exact: function(pm, data, name, value, ignoreCase = false) {
+                var actual = utils.propertyString(pm, data, name);
+
+                if (value === null) {
+                    pm.expect(actual, "Expected '" + name +
+                        "' property to be null").to.be.null;
+                } else {
+                    var msg = "Expected '" + name +
+                        "' property to match '" + value +
+                        "' but got '" + actual +
+                        "'";
+
+                    if (ignoreCase) {
+                        pm.expect(actual.toUpperCase()).to.equal(value.toUpperCase(),
+                            msg + " (case-insensitive)");
+                    } else {
+                        pm.expect(actual).to.equal(value, msg + " (case-sensitive)");
+                    }
+                }
+            },
+
+            // DESCRIPTION
+            // Expects the string object property to exist and contain the specified value.
+            //
+            // PARAMETERS
+            // - data
+            //  Same as in 'utils.expect.property.exist'.
+            //
+            // - name
+            //  Same as in 'utils.expect.property.exist'.
+            //
+            // - value (string)
+            //  Expected substring value (cannot be null).
+            //
+            // - ignoreCase (boolean, default=false)
+            //  Set to 'true' for case-insensitive comparisons.
+            partial: function(pm, data, name, value, ignoreCase = false) {
+                var actual = utils.propertyString(pm, data, name);
+
+                var msg = "Expected '" + name +
+                    "' property to contain '" + value +
+                    "' but got '" + actual +
+                    "'";
+
+                if (actual === null) {
+                    pm.expect.fail(msg);
+                }
+
+                if (ignoreCase) {
+                    pm.expect(actual.toUpperCase()).to.have.string(value.toUpperCase(), msg + " (case-insensitive)");
+                } else {
+                    pm.expect(actual).to.have.string(value, msg + " (case-sensitive)");
+                }
+            },
+
+            // DESCRIPTION
+            // Expects the string object property to exist and start with the specified value.
+            //
+            // PARAMETERS
+            // - data
+            //  Same as in 'utils.expect.property.exist'.
+            //
+            // - name
+            //  Same as in 'utils.expect.property.exist'.
+            //
+            // - value (string)
+            //  Expected beginning of the string value (cannot be null).
+            //
+            // - ignoreCase (boolean, default=false)
+            //  Set to 'true' for case-insensitive comparisons.
+            start: function(pm, data, name, value, ignoreCase = false) {
+                var actual = utils.propertyString(pm, data, name);
+
+                var msg = "Expected '" + name +
+                    "' property to start with '" + value +
+                    "' but got '" + actual +
+                    "'";
+
+                if (actual === null) {
+                    pm.expect.fail(msg);
+                }
+
+                if (ignoreCase) {
+                    if (!actual.toUpperCase().startsWith(value.toUpperCase())) {
+                        pm.expect.fail(msg + " (case-insensitive)");
+                    }
+                } else {
+                    if (!actual.startsWith(value)) {
+                        pm.expect.fail(msg + " (case-sensitive)");
+                    }
+                }
+            },
+
+            // DESCRIPTION
+            // Expects the string object property to exist and end with the specified value.
+            //
+            // PARAMETERS
+            // - data
+            //  Same as in 'utils.expect.property.exist'.
+            //
+            // - name
+            //  Same as in 'utils.expect.property.exist'.
+            //
+            // - value (string)
+            //  Expected ending of the string value (cannot be null).
+            //
+            // - ignoreCase (boolean, default=false)
+            //  Set to 'true' for case-insensitive comparisons.
+            end: function(pm, data, name, value, ignoreCase = false) {
+                var actual = utils.propertyString(pm, data, name);
+
+                if (value !== undefined) {
+                    if (value === null) {
+                        pm.expect(actual, "Expected '" + name +
+                            "' property to be null").to.be.null;
+                    } else {
+                        var msg = "Expected '" + name +
+                            "' property to end with '" + value +
+                            "' but got '" + actual +
+                            "'";
+
+                        if (actual === null) {
+                            pm.expect.fail(msg);
+                        }
+
+                        if (ignoreCase) {
+                            if (!actual.toUpperCase().endsWith(value.toUpperCase())) {
+                                pm.expect.fail(msg + " (case-insensitive)");
+                            }
+                        } else {
+                            if (!actual.endsWith(value)) {
+                                pm.expect.fail(msg + " (case-sensitive)");
+                            }
+                        }
+                    }
+                }
+            },
+
+            // DESCRIPTION
+            // Expects the string object property to exist and
+            // match the specified regular expression.
+            //
+            // PARAMETERS
+            // - data
+            //  Same as in 'utils.expect.property.exist'.
+            //
+            // - name
+            //  Same as in 'utils.expect.property.exist'.
+            //
+            // - value (regular expression)
+            //  Regular expression (can be null).
+            match: function(pm, data, name, value) {
+                var actual = utils.propertyString(pm, data, name);
+
+                if (value !== undefined) {
+                    if (value === null) {
+                        pm.expect(actual, "Expected '" + name +
+                            "' property to be null").to.be.null;
+                    } else {
+                        var msg = "Expected '" + name +
+                            "' property to match regular expression '" + value +
+                            "' but got '" + actual +
+                            "'";
+
+                        pm.expect(actual).to.match(value, msg);
+                    }
+                }
+            },
+
+            // DESCRIPTION
+            // Negative string property check functions.
+            not: {
+                // DESCRIPTION
+                // Expects the string object property to exist and
+                // not match the specified regular expression.
+                //
+                // PARAMETERS
+                // - data
+                //  Same as in 'utils.expect.property.exist'.
+                //
+                // - name
+                //  Same as in 'utils.expect.property.exist'.
+                //
+                // - value (regular expression)
+                //  Regular expression (can be null).
+                match: function(pm, data, name, value) {
+                    var actual = utils.propertyString(pm, data, name);
+
+                    if (value !== undefined) {
+                        if (value === null) {
+                            pm.expect(actual, "Expected '" + name +
+                                "' property to not be null").to.not.be.null;
+                        } else {
+                            var msg = "Expected '" + name +
+                                "' property to not match regular expression '" + value +
+                                "' but got '" + actual +
+                                "'";
+
+                            pm.expect(actual).to.not.match(value, msg);
+                        }
+                    }
+                }
+            }
+
+        // End of 'utils.expect.property.string' functions.
+        },
+
+        // DESCRIPTION
+        // Functions validating numeric properties. All functions expect
+        // the property to exist and hold a number. Expected values can be
+        // numbers or numeric strings (e.g. values of variables).
+        number: {
+
+            // DESCRIPTION
+            // Expects the numeric object property to be greater than the
+            // specified value.
+            //
+            // PARAMETERS
+            // - data
+            //  Same as in 'utils.expect.property.exist'.
+            //
+            // - name
+            //  Same as in 'utils.expect.property.exist'.
+            //
+            // - value (number)
+            //  Value to compare with.
+            gt: function(pm, data, name, value) {
+                var actual = utils.propertyNumber(pm, data, name);
+
+                value = utils.propertyNumeric(pm, value, "value");
+
+                if (!(actual > value)) {
+                    pm.expect.fail("Expected '" + name +
+                        "' property to be greater than " + value +
+                        " but got " + actual);
+                }
+            },
+
+            // DESCRIPTION
+            // Expects the numeric object property to be greater than or
+            // equal to the specified value.
+            //
+            // PARAMETERS
+            // - data
+            //  Same as in 'utils.expect.property.exist'.
+            //
+            // - name
+            //  Same as in 'utils.expect.property.exist'.
+            //
+            // - value (number)
+            //  Value to compare with.
+            gte: function(pm, data, name, value) {
+                var actual = utils.propertyNumber(pm, data, name);
+
+                value = utils.propertyNumeric(pm, value, "value");
+
+                if (!(actual >= value)) {
+                    pm.expect.fail("Expected '" + name +
+                        "' property to be greater than or equal to " + value +
+                        " but got " + actual);
+                }
+            },
+
+            // DESCRIPTION
+            // Expects the numeric object property to be less than the
+            // specified value.
+            //
+            // PARAMETERS
+            // - data
+            //  Same as in 'utils.expect.property.exist'.
+            //
+            // - name
+            //  Same as in 'utils.expect.property.exist'.
+            //
+            // - value (number)
+            //  Value to compare with.
+            lt: function(pm, data, name, value) {
+                var actual = utils.propertyNumber(pm, data, name);
+
+                value = utils.propertyNumeric(pm, value, "value");
+
+                if (!(actual < value)) {
+                    pm.expect.fail("Expected '" + name +
+                        "' property to be less than " + value +
+                        " but got " + actual);
+                }
+            },
+
+            // DESCRIPTION
+            // Expects the numeric object property to be less than or
+            // equal to the specified value.
+            //
+            // PARAMETERS
+            // - data
+            //  Same as in 'utils.expect.property.exist'.
+            //
+            // - name
+            //  Same as in 'utils.expect.property.exist'.
+            //
+            // - value (number)
+            //  Value to compare with.
+            lte: function(pm, data, name, value) {
+                var actual = utils.propertyNumber(pm, data, name);
+
+                value = utils.propertyNumeric(pm, value, "value");
+
+                if (!(actual <= value)) {
+                    pm.expect.fail("Expected '" + name +
+                        "' property to be less than or equal to " + value +
+                        " but got " + actual);
+                }
+            },
+
+            // DESCRIPTION
+            // Expects the numeric object property to be within the
+            // specified range (inclusive).
+            //
+            // PARAMETERS
+            // - data
+            //  Same as in 'utils.expect.property.exist'.
+            //
+            // - name
+            //  Same as in 'utils.expect.property.exist'.
+            //
+            // - min (number)
+            //  Minimum value.
+            //
+            // - max (number)
+            //  Maximum value.
+            between: function(pm, data, name, min, max) {
+                var actual = utils.propertyNumber(pm, data, name);
+
+                min = utils.propertyNumeric(pm, min, "min");
+                max = utils.propertyNumeric(pm, max, "max");
+
+                if (!(actual >= min && actual <= max)) {
+                    pm.expect.fail("Expected '" + name +
+                        "' property to be between " + min + " and " + max +
+                        " but got " + actual);
+                }
+            },
+
+            // DESCRIPTION
+            // Expects the numeric object property to be equal to the
+            // specified value within the specified tolerance.
+            //
+            // PARAMETERS
+            // - data
+            //  Same as in 'utils.expect.property.exist'.
+            //
+            // - name
+            //  Same as in 'utils.expect.property.exist'.
+            //
+            // - value (number)
+            //  Expected value.
+            //
+            // - tolerance (non-negative number)
+            //  Maximum allowed difference.
+            closeTo: function(pm, data, name, value, tolerance) {
+                var actual = utils.propertyNumber(pm, data, name);
+
+                value     = utils.propertyNumeric(pm, value, "value");
+                tolerance = utils.propertyNumeric(pm, tolerance, "tolerance");
+
+                if (!(Math.abs(actual - value) <= tolerance)) {
+                    pm.expect.fail("Expected '" + name +
+                        "' property to be within " + tolerance + " of " + value +
+                        " but got " + actual);
+                }
+            },
+
+            // DESCRIPTION
+            // Expects the numeric object property to be a multiple of the
+            // specified value (e.g. use 0.01 to check prices).
+            //
+            // PARAMETERS
+            // - data
+            //  Same as in 'utils.expect.property.exist'.
+            //
+            // - name
+            //  Same as in 'utils.expect.property.exist'.
+            //
+            // - value (positive number)
+            //  Divisor.
+            multipleOf: function(pm, data, name, value) {
+                var actual = utils.propertyNumber(pm, data, name);
+
+                value = utils.propertyNumeric(pm, value, "value");
+
+                if (value <= 0) {
+                    throw new Error("Invalid value '" + value + "': expected a positive number");
+                }
+
+                // Allow for floating point errors (e.g. 0.3 / 0.1).
+                var quotient = actual / value;
+
+                if (Math.abs(quotient - Math.round(quotient)) > 1e-9) {
+                    pm.expect.fail("Expected '" + name +
+                        "' property to be a multiple of " + value +
+                        " but got " + actual);
+                }
+            }
+
+        // End of 'utils.expect.property.number' functions.
+        },
+
+        // DESCRIPTION
+        // Functions validating date and time properties. All functions
+        // expect the property to exist and hold an ISO 8601 date or date
+        // and time string, such as '2024-05-01' or '2024-05-01T10:30:00Z'
+        // (time zone offsets are honored; values without offsets are
+        // treated as UTC) or a timestamp (number of milliseconds since
+        // 1970-01-01T00:00:00Z). Dates to compare with can also be 'Date'
+        // objects, the 'now' string, or objects referencing another
+        // property of the same data object, such as { property: 'createdAt' }.
+        date: {
+
+            // DESCRIPTION
+            // Expects the date property to be before the specified date.
+            //
+            // PARAMETERS
+            // - data
+            //  Same as in 'utils.expect.property.exist'.
+            //
+            // - name
+            //  Same as in 'utils.expect.property.exist'.
+            //
+            // - date (string, number, Date, or object)
+            //  Date to compare with.
+            before: function(pm, data, name, date) {
+                var actual   = utils.dateValue(pm, data, name);
+                var expected = utils.dateArgument(pm, data, date);
+
+                if (!(actual.time < expected.time)) {
+                    pm.expect.fail("Expected '" + name +
+                        "' property to be before " + expected.text +
+                        " but got '" + actual.value + "'");
+                }
+            },
+
+            // DESCRIPTION
+            // Expects the date property to be after the specified date.
+            //
+            // PARAMETERS
+            // - data
+            //  Same as in 'utils.expect.property.exist'.
+            //
+            // - name
+            //  Same as in 'utils.expect.property.exist'.
+            //
+            // - date (string, number, Date, or object)
+            //  Date to compare with.
+            after: function(pm, data, name, date) {
+                var actual   = utils.dateValue(pm, data, name);
+                var expected = utils.dateArgument(pm, data, date);
+
+                if (!(actual.time > expected.time)) {
+                    pm.expect.fail("Expected '" + name +
+                        "' property to be after " + expected.text +
+                        " but got '" + actual.value + "'");
+                }
+            },
+
+            // DESCRIPTION
+            // Expects the date property to be within the specified date
+            // range (inclusive).
+            //
+            // PARAMETERS
+            // - data
+            //  Same as in 'utils.expect.property.exist'.
+            //
+            // - name
+            //  Same as in 'utils.expect.property.exist'.
+            //
+            // - start (string, number, Date, or object)
+            //  Start of the range.
+            //
+            // - end (string, number, Date, or object)
+            //  End of the range.
+            between: function(pm, data, name, start, end) {
+                var actual = utils.dateValue(pm, data, name);
+
+                start = utils.dateArgument(pm, data, start);
+                end   = utils.dateArgument(pm, data, end);
+
+                if (!(actual.time >= start.time && actual.time <= end.time)) {
+                    pm.expect.fail("Expected '" + name +
+                        "' property to be between " + start.text + " and " + end.text +
+                        " but got '" + actual.value + "'");
+                }
+            },
+
+            // DESCRIPTION
+            // Expects the date property to be within the specified duration
+            // of the reference date (before or after it).
+            //
+            // PARAMETERS
+            // - data
+            //  Same as in 'utils.expect.property.exist'.
+            //
+            // - name
+            //  Same as in 'utils.expect.property.exist'.
+            //
+            // - duration (number or string)
+            //  Number of milliseconds, number followed by a unit ('ms', 's',
+            //  'm', 'h', or 'd'), such as '5s', or ISO 8601 duration, such
+            //  as 'PT5S'.
+            //
+            // - date (string, number, Date, or object, optional, default='now')
+            //  Reference date.
+            within: function(pm, data, name, duration, date = "now") {
+                var actual    = utils.dateValue(pm, data, name);
+                var reference = utils.dateArgument(pm, data, date);
+                var limit     = utils.dateDuration(pm, duration);
+                var offset    = Math.abs(actual.time - reference.time);
+
+                if (offset > limit) {
+                    pm.expect.fail("Expected '" + name +
+                        "' property to be within " + duration + " of " + reference.text +
+                        " but got '" + actual.value + "' (" + offset + " ms apart)");
+                }
+            }
+
+        // End of 'utils.expect.property.date' functions.
+        }
+    // End of 'utils.expect.property' functions.
+    },
+
+    // DESCRIPTION
+    // Functions validating array items. All functions operate on the
+    // array identified by the following parameters:
+    //
+    // - data (object or array)
+    //  Array or object holding the array (if null, the JSON element
+    //  returned in the response is used).
+    //
+    // - name (string)
+    //  Path to the array, such as 'order.items' (see 'utils.propertyPath'), or
+    //  null if 'data' (or the response) is the array.
+    //
+    // Failure messages name the index of the offending item.
+    array: {
+
+        // DESCRIPTION
+        // Expects every item of the array to have the specified properties
+        // or to satisfy the specified condition.
+        //
+        // PARAMETERS
+        // - data
+        //  Same as in 'utils.expect.array'.
+        //
+        // - name
+        //  Same as in 'utils.expect.array'.
+        //
+        // - condition (string, array, or function)
+        //  Name (or path) of the property, array of property names (or
+        //  paths), or function receiving the item and its index and
+        //  returning true if the item is valid (the function can also
+        //  use 'pm.expect' to check the item).
+        every: function(pm, data, name, condition) {
+            var array = utils.arrayItems(pm, data, name);
+
+            array.items.forEach(function(item, index) {
+                var label = array.label + "[" + index + "]";
+
+                if (typeof condition === 'function') {
+                    var result = null;
+
+                    try {
+                        result = condition(item, index);
+                    } catch (e) {
+                        pm.expect.fail("Expected '" + label + "' to satisfy the condition but " +
+                            e.message);
+                    }
+
+                    if (result === false) {
+                        pm.expect.fail("Expected '" + label + "' to satisfy the condition but got " +
+                            JSON.stringify(item));
+                    }
+
+                    return;
+                }
+
+                (Array.isArray(condition) ? condition : [condition]).forEach(function(property) {
+                    var result = utils.propertyResolve(pm, item, property);
+
+                    if (!result.exists) {
+                        pm.expect.fail("Expected '" + label + "' to have property '" +
+                            result.path + "' but " + result.error.replace(/^data object/, "item"));
+                    }
+                });
+            });
+        },
+
+        // DESCRIPTION
+        // Expects at least one item of the array to match the specified
+        // partial object (or condition). Returns the index of the first
+        // matching item.
+        //
+        // PARAMETERS
+        // - data
+        //  Same as in 'utils.expect.array'.
+        //
+        // - name
+        //  Same as in 'utils.expect.array'.
+        //
+        // - partial (object, value, or function)
+        //  Object holding the expected values of the item properties
+        //  (properties not listed in the object are ignored; nested objects
+        //  are matched the same way), a value of a primitive item, or
+        //  function receiving the item and its index and returning true
+        //  if the item matches.
+        some: function(pm, data, name, partial) {
+            var array = utils.arrayItems(pm, data, name);
+            var index = utils.arrayMatch(pm, array.items, partial);
+
+            if (index < 0) {
+                pm.expect.fail("Expected at least one item of '" + array.label + "' to match " +
+                    ((typeof partial === 'function') ? "the condition" : JSON.stringify(partial)) +
+                    " but none of " + array.items.length + " item(s) did");
+            }
+
+            return index;
+        },
+
+        // DESCRIPTION
+        // Expects array items to be sorted by the specified keys.
+        //
+        // PARAMETERS
+        // - data
+        //  Same as in 'utils.expect.array'.
+        //
+        // - name
+        //  Same as in 'utils.expect.array'.
+        //
+        // - keys (string, object, or array, optional)
+        //  Name (or path) of the property to sort by, object with the
+        //  following properties, or array of names and objects (items
+        //  are compared by the next key when the values of the previous
+        //  key are equal):
+        //  - key: name (or path) of the property (omit to sort primitive
+        //    items by value),
+        //  - order: 'asc' (default) or 'desc',
+        //  - type: 'string', 'number', 'date', or 'auto' (default; numbers
+        //    are compared as numbers and other values as strings).
+        //  Null values come first in the ascending order.
+        sorted: function(pm, data, name, keys) {
+            var array = utils.arrayItems(pm, data, name);
+
+            keys = (keys === undefined || keys === null) ? [{}] : (Array.isArray(keys) ? keys : [keys]);
+
+            keys = keys.map(function(key) {
+                key = (typeof key === 'object' && key !== null) ? key : { key: key };
+
+                if (key.order !== undefined && key.order !== "asc" && key.order !== "desc") {
+                    throw new Error("Invalid sort order '" + key.order + "': expected 'asc' or 'desc'");
+                }
+
+                if (key.type !== undefined && ["auto", "string", "number", "date"].indexOf(key.type) < 0) {
+                    throw new Error("Invalid sort type '" + key.type +
+                        "': expected 'auto', 'string', 'number', or 'date'");
+                }
+
+                return {
+                    key: (key.key === undefined || key.key === "") ? null : key.key,
+                    order: (key.order === undefined) ? "asc" : key.order,
+                    type: (key.type === undefined) ? "auto" : key.type
+                };
+            });
+
+            var values = function(item, index) {
+                return keys.map(function(key) {
+                    if (key.key === null) {
+                        return item;
+                    }
+
+                    var result = utils.propertyResolve(pm, item, key.key);
+
+                    if (!result.exists) {
+                        pm.expect.fail("Expected '" + array.label + "[" + index + "]' to have property '" +
+                            result.path + "' but " + result.error.replace(/^data object/, "item"));
+                    }
+
+                    return result.value;
+                });
+            };
+
+            var description = keys.map(function(key) {
+                return (key.key === null ? "value" : "'" + key.key + "'") + " (" + key.order + ")";
+            }).join(", ");
+
+            for (var i = 1; i < array.items.length; i++) {
+                var previous = values(array.items[i - 1], i - 1);
+                var current  = values(array.items[i], i);
+
+                for (var k = 0; k < keys.length; k++) {
+                    var result = utils.arrayCompare(pm, previous[k], current[k], keys[k].type);
+
+                    if (keys[k].order === "desc") {
+                        result = -result;
+                    }
+
+                    if (result < 0) {
+                        break;
+                    }
+
+                    if (result > 0) {
+                        pm.expect.fail("Expected '" + array.label + "' to be sorted by " + description +
+                            " but '" + array.label + "[" + i + "]' (" + JSON.stringify(current[k]) +
+                            ") comes after '" + array.label + "[" + (i - 1) + "]' (" +
+                            JSON.stringify(previous[k]) + ")");
+                    }
+                }
+            }
+        },
+
+        // DESCRIPTION
+        // Expects array items to be unique by the specified key.
+        //
+        // PARAMETERS
+        // - data
+        //  Same as in 'utils.expect.array'.
+        //
+        // - name
+        //  Same as in 'utils.expect.array'.
+        //
+        // - key (string, optional)
+        //  Name (or path) of the property identifying the item (omit to
+        //  compare whole items).
+        unique: function(pm, data, name, key) {
+            var array = utils.arrayItems(pm, data, name);
+            var seen  = [];
+
+            array.items.forEach(function(item, index) {
+                var value = item;
+
+                if (key !== undefined && key !== null && key !== "") {
+                    var result = utils.propertyResolve(pm, item, key);
+
+                    if (!result.exists) {
+                        pm.expect.fail("Expected '" + array.label + "[" + index + "]' to have property '" +
+                            result.path + "' but " + result.error.replace(/^data object/, "item"));
+                    }
+
+                    value = result.value;
+                }
+
+                for (var i = 0; i < seen.length; i++) {
+                    if (utils.jsonEqual(pm, seen[i], value)) {
+                        pm.expect.fail("Expected '" + array.label + "' to be unique" +
+                            ((key === undefined || key === null || key === "") ? "" : " by '" + key + "'") + " but '" +
+                            array.label + "[" + index + "]' duplicates '" + array.label + "[" +
+                            i + "]' (" + JSON.stringify(value) + ")");
+                    }
+                }
+
+                seen.push(value);
+            });
+        },
+
+        // DESCRIPTION
+        // Expects array to contain the item with the specified identifier.
+        // Returns the index of the item.
+        //
+        // PARAMETERS
+        // - data
+        //  Same as in 'utils.expect.array'.
+        //
+        // - name
+        //  Same as in 'utils.expect.array'.
+        //
+        // - id (object)
+        //  Expected identifier (or value of a primitive item).
+        //
+        // - key (string, optional, default='id')
+        //  Name (or path) of the property holding the identifier (null
+        //  to compare primitive items).
+        contains: function(pm, data, name, id, key = "id") {
+            var array = utils.arrayItems(pm, data, name);
+            var index = utils.arrayFind(pm, array.items, id, key);
+
+            if (index < 0) {
+                pm.expect.fail("Expected '" + array.label + "' to contain " +
+                    ((key === null || key === "") ? "" : "item with '" + key + "' equal to ") +
+                    JSON.stringify(id) + " but none of " + array.items.length + " item(s) did");
+            }
+
+            return index;
+        },
+
+        // DESCRIPTION
+        // Negative array check functions.
+        not: {
+            // DESCRIPTION
+            // Expects no item of the array to match the specified partial
+            // object (or condition).
+            //
+            // PARAMETERS
+            // - data
+            //  Same as in 'utils.expect.array'.
+            //
+            // - name
+            //  Same as in 'utils.expect.array'.
+            //
+            // - partial
+            //  Same as in 'utils.expect.array.some'.
+            some: function(pm, data, name, partial) {
+                var array = utils.arrayItems(pm, data, name);
+                var index = utils.arrayMatch(pm, array.items, partial);
+
+                if (index >= 0) {
+                    pm.expect.fail("Expected no item of '" + array.label + "' to match " +
+                        ((typeof partial === 'function') ? "the condition" : JSON.stringify(partial)) +
+                        " but '" + array.label + "[" + index + "]' did");
+                }
+            },
+
+            // DESCRIPTION
+            // Expects array to not contain the item with the specified
+            // identifier.
+            //
+            // PARAMETERS
+            // - data
+            //  Same as in 'utils.expect.array'.
+            //
+            // - name
+            //  Same as in 'utils.expect.array'.
+            //
+            // - id
+            //  Same as in 'utils.expect.array.contains'.
+            //
+            // - key
+            //  Same as in 'utils.expect.array.contains'.
+            contains: function(pm, data, name, id, key = "id") {
+                var array = utils.arrayItems(pm, data, name);
+                var index = utils.arrayFind(pm, array.items, id, key);
+
+                if (index >= 0) {
+                    pm.expect.fail("Expected '" + array.label + "' to not contain " +
+                        ((key === null || key === "") ? "" : "item with '" + key + "' equal to ") +
+                        JSON.stringify(id) + " but '" + array.label + "[" + index + "]' does");
+                }
+            }
+        }
+    // End of 'utils.expect.array' functions.
+    }
+    // End of 'utils.expect' functions.
+    },
+
+    // DESCRIPTION
+    // Functions capturing values from HTTP response and saving them in
+    // variables, so they can be used by the requests that follow
+    // (e.g. to pass the identifier of a created resource to the requests
+    // that read, update, or delete it).
+    //
+    // All extract functions accept the 'options' parameter that can hold
+    // either the name of the variable scope or an object with the
+    // following properties (all optional):
+    //
+    // - scope: 'environment', 'collection' (default), 'global',
+    //   or 'local',
+    // - pattern: regular expression applied to the captured value (the
+    //   first capture group or the whole match will be saved),
+    // - required: set to false to not fail the test if the value cannot
+    //   be captured (default=true).
+    //
+    // Objects and arrays are saved as JSON text; other values are saved
+    // as is. All extract functions return the captured value (or
+    // undefined if the value cannot be captured).
+    extract: {
+
+    // Default variable scope.
+    defaultScope: "collection",
+
+    // DESCRIPTION
+    // Captures a property of the JSON object returned in the response.
+    //
+    // PARAMETERS
+    // - name (string)
+    //  Property name or path (see 'utils.propertyPath').
+    //
+    // - variable (string)
+    //  Name of the variable that will hold the value.
+    //
+    // - options (string or object, optional)
+    //  Variable scope or extract options.
+    json: function(pm, name, variable, options) {
+        var value;
+
+        try {
+            value = utils.propertyResolve(pm, pm.response.json(), name).value;
+        } catch (e) {
+            value = undefined;
+        }
+
+        return utils.extractStore(pm, variable, value, options,
+            "response property '" + name + "'", name);
+    },
+
+    // DESCRIPTION
+    // Captures the value of the named response header.
+    //
+    // PARAMETERS
+    // - name (string)
+    //  Header name.
+    //
+    // - variable
+    //  Same as in 'utils.extract.json'.
+    //
+    // - options
+    //  Same as in 'utils.extract.json'.
+    header: function(pm, name, variable, options) {
+        return utils.extractStore(pm, variable, utils.headerValue(pm, name), options,
+            "response header '" + name + "'", name);
+    },
+
+    // DESCRIPTION
+    // Captures a segment of the URL path returned in the 'Location'
+    // response header, such as the identifier of the created resource.
+    //
+    // PARAMETERS
+    // - variable
+    //  Same as in 'utils.extract.json'.
+    //
+    // - segment (integer, optional, default=-1)
+    //  Zero-based index of the path segment; negative values are
+    //  counted from the end (-1 is the last segment). Ignored if the
+    //  'pattern' option is set (the pattern will be applied to the
+    //  whole header value).
+    //
+    // - options
+    //  Same as in 'utils.extract.json'.
+    location: function(pm, variable, segment = -1, options) {
+        var value = utils.headerValue(pm, "Location");
+
+        var hasPattern = options !== null && typeof options === 'object' &&
+            options.pattern !== undefined && options.pattern !== null;
+
+        if (value !== undefined && !hasPattern) {
+            var path     = value.replace(/^[A-Za-z][A-Za-z0-9+.-]*:\/\/[^\/?#]*/, "")
+                .split(/[?#]/)[0];
+            var segments = path.split("/").filter(function(part) {
+                return part !== "";
+            });
+            var index    = (segment < 0) ? segments.length + segment : segment;
+
+            value = (index >= 0 && index < segments.length) ?
+                decodeURIComponent(segments[index]) : undefined;
+        }
+
+        return utils.extractStore(pm, variable, value, options,
+            "segment " + segment + " of response header 'Location'", "Location");
+    },
+
+    // DESCRIPTION
+    // Captures the value of the named cookie returned in the response.
+    //
+    // PARAMETERS
+    // - name (string)
+    //  Cookie name.
+    //
+    // - variable
+    //  Same as in 'utils.extract.json'.
+    //
+    // - options
+    //  Same as in 'utils.extract.json'.
+    cookie: function(pm, name, variable, options) {
+        return utils.extractStore(pm, variable, pm.cookies.get(name), options,
+            "cookie '" + name + "'", name);
+    }
+    // End of 'utils.extract' functions.
+    },
+
+    // DESCRIPTION
+    // Functions generating unique and realistic test data, such as
+    // names, emails, phone numbers, dates, and strings, so that the
+    // requests creating resources do not collide across test runs.
+    //
+    // By default, values are random. To make the test run reproducible,
+    // call 'utils.data.seed' at the beginning of the run (then the same
+    // seed will produce the same values in the same order; unique values
+    // still include the run identifier, so they do not repeat across runs).
+    data: {
+
+    // Collection variable holding the state of the seeded random number
+    // generator.
+    seedVariableName: "DATA_SEED",
+
+    // Collection variable holding the counter of the unique values
+    // (along with the identifier of the run it belongs to).
+    counterVariableName: "DATA_COUNTER",
+
+    // Default variable scope used by 'utils.data.store'.
+    defaultScope: "collection",
+
+    // Sample first names.
+    firstNames: [
+        "James", "Mary", "Wei", "Fatima", "Carlos", "Aisha", "Olga", "Hiroshi",
+        "Priya", "Liam", "Sofia", "Mateo", "Chloe", "Kwame", "Ingrid", "Noah",
+        "Amara", "Jean-Luc", "Zoë", "Ahmed"
+    ],
+
+    // Sample last names.
+    lastNames: [
+        "Smith", "Garcia", "Nguyen", "O'Brien", "Müller", "Kowalski", "Okafor",
+        "Tanaka", "Patel", "Johansson", "Rossi", "Dubois", "Kim", "Cohen",
+        "Ivanova", "Da Silva", "Smith-Jones", "Hernández", "Li", "Walker"
+    ],
+
+    // Character sets used by 'utils.data.string'.
+    charsets: {
+        alpha: "abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ",
+        alphanumeric: "abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789",
+        numeric: "0123456789",
+        hex: "0123456789abcdef",
+        // Accented Latin, Cyrillic, Greek, Hebrew, Arabic, CJK, Korean,
+        // and characters outside of the Basic Multilingual Plane.
+        unicode: "éßñøİıЖяΩλשבعم中日本한글𝔘𝒳",
+        emoji: "😀🚀🎉🔥👍🐍🌍💡🧪✅"
+    },
+
+    // DESCRIPTION
+    // Seeds the random number generator making generated values
+    // reproducible (call it from 'utils.run.once' in the collection
+    // pre-request script). Also resets the counter of unique values.
+    //
+    // PARAMETERS
+    // - seed (string or integer)
+    //  Seed value.
+    seed: function(pm, seed) {
+        if (seed === undefined || seed === null || seed === "") {
+            throw new Error("Invalid seed: expected a non-empty string or an integer");
+        }
+
+        // Derive the initial state from the seed (FNV-1a hash).
+        var state = 0x811c9dc5;
+
+        String(seed).split("").forEach(function(c) {
+            state = Math.imul(state ^ c.charCodeAt(0), 0x01000193);
+        });
+
+        pm.collectionVariables.set(utils.data.seedVariableName, state | 0);
+        pm.collectionVariables.unset(utils.data.counterVariableName);
+    },
+
+    // DESCRIPTION
+    // Removes the seed (values will be random again) and the counter
+    // of unique values.
+    reset: function(pm) {
+        pm.collectionVariables.unset(utils.data.seedVariableName);
+        pm.collectionVariables.unset(utils.data.counterVariableName);
+    },
+
+    // DESCRIPTION
+    // Returns a random integer within the specified range (inclusive).
+    //
+    // PARAMETERS
+    // - min (integer, optional, default=0)
+    //  Minimum value.
+    //
+    // - max (integer, optional, default=2147483647)
+    //  Maximum value.
+    integer: function(pm, min = 0, max = 2147483647) {
+        if (!Number.isInteger(min) || !Number.isInteger(max) || min > max) {
+            throw new Error("Invalid range [" + min + ", " + max + "]: expected integers with min <= max");
+        }
+
+        return min + Math.floor(utils.dataRandom(pm) * (max - min + 1));
+    },
+
+    // DESCRIPTION
+    // Returns a random item of the array.
+    //
+    // PARAMETERS
+    // - items (array)
+    //  Non-empty array.
+    pick: function(pm, items) {
+        if (!Array.isArray(items) || items.length === 0) {
+            throw new Error("Invalid items: expected a non-empty array");
+        }
+
+        return items[utils.data.integer(pm, 0, items.length - 1)];
+    },
+
+    // DESCRIPTION
+    // Returns a random (version 4) UUID.
+    uuid: function(pm) {
+        return utils.dataUuid(pm, function() {
+            return utils.dataRandom(pm);
+        });
+    },
+
+    // DESCRIPTION
+    // Returns a value unique within the test run and across test runs:
+    // the prefix followed by the first part of the run identifier (see
+    // 'utils.run.id') and the sequence number (restarted in every run),
+    // such as 'user-3f9a2c7e-1'.
+    //
+    // PARAMETERS
+    // - prefix (string, optional)
+    //  Prefix of the value.
+    unique: function(pm, prefix) {
+        var run     = utils.run.id(pm);
+        var value   = pm.collectionVariables.get(utils.data.counterVariableName);
+        var counter = null;
+
+        if (value !== undefined && value !== null && value !== "") {
+            try {
+                counter = JSON.parse(value);
+            } catch (e) {
+                counter = null;
+            }
+        }
+
+        if (counter === null || typeof counter !== 'object' || counter.run !== run ||
+            !Number.isInteger(counter.count)) {
+            counter = { run: run, count: 0 };
+        }
+
+        counter.count++;
+
+        pm.collectionVariables.set(utils.data.counterVariableName, JSON.stringify(counter));
+
+        return ((prefix === undefined || prefix === null || prefix === "") ? "" : prefix + "-") +
+            run.slice(0, 8) + "-" + counter.count;
+    },
+
+    // DESCRIPTION
+    // Returns a random first name.
+    firstName: function(pm) {
+        return utils.data.pick(pm, utils.data.firstNames);
+    },
+
+    // DESCRIPTION
+    // Returns a random last name.
+    lastName: function(pm) {
+        return utils.data.pick(pm, utils.data.lastNames);
+    },
+
+    // DESCRIPTION
+    // Returns a random full name (first and last names).
+    name: function(pm) {
+        return utils.data.firstName(pm) + " " + utils.data.lastName(pm);
+    },
+
+    // DESCRIPTION
+    // Returns a unique email address, such as 'mary.kim.3f9a2c7e-1@example.com'.
+    //
+    // PARAMETERS
+    // - domain (string, optional, default='example.com')
+    //  Email domain (the default domain is reserved for testing).
+    email: function(pm, domain = "example.com") {
+        var local = (utils.data.firstName(pm) + "." + utils.data.lastName(pm))
+            .normalize("NFD").replace(/[\u0300-\u036f]/g, "")
+            .toLowerCase().replace(/[^a-z0-9.]+/g, "");
+
+        return local + "." + utils.data.unique(pm) + "@" + domain;
+    },
+
+    // DESCRIPTION
+    // Returns a random phone number in the E.164 format from the range
+    // reserved for fictional use, such as '+12025550147'.
+    phone: function(pm) {
+        return "+1" + utils.data.pick(pm, ["202", "312", "415", "512", "617", "718"]) +
+            "55501" + String(utils.data.integer(pm, 0, 99)).padStart(2, "0");
+    },
+
+    // DESCRIPTION
+    // Returns the date relative to the current time.
+    //
+    // PARAMETERS
+    // - offset (number or string, optional, default=0)
+    //  Offset from the current time: number of milliseconds or duration
+    //  (see 'utils.expect.property.date.within') optionally preceded by
+    //  a sign, such as '-7d' (a week ago) or '+2h' (two hours from now).
+    //
+    // - format (string, optional, default='date-time')
+    //  'date-time' (ISO 8601 date and time in UTC), 'date' (ISO 8601
+    //  date), 'timestamp' (milliseconds), or 'unix' (seconds).
+    date: function(pm, offset = 0, format = "date-time") {
+        var sign = 1;
+
+        if (typeof offset === 'number') {
+            sign   = (offset < 0) ? -1 : 1;
+            offset = Math.abs(offset);
+        } else if (typeof offset === 'string' && /^\s*[+-]/.test(offset)) {
+            sign   = (offset.trim().charAt(0) === "-") ? -1 : 1;
+            offset = offset.trim().substring(1);
+        }
+
+        var date = new Date(Date.now() + sign * utils.dateDuration(pm, offset));
+
+        switch (format) {
+            case "date-time":
+                return date.toISOString();
+            case "date":
+                return date.toISOString().substring(0, 10);
+            case "timestamp":
+                return date.getTime();
+            case "unix":
+                return Math.floor(date.getTime() / 1000);
+            default:
+                throw new Error("Invalid date format '" + format +
+                    "': expected 'date-time', 'date', 'timestamp', or 'unix'");
+        }
+    },
+
+    // DESCRIPTION
+    // Returns a random string of the exact length.
+    //
+    // PARAMETERS
+    // - length (non-negative integer)
+    //  Length of the string in characters (Unicode code points, so
+    //  strings holding characters outside of the Basic Multilingual
+    //  Plane, such as emoji, have a greater JavaScript 'length').
+    //
+    // - charset (string, optional, default='alphanumeric')
+    //  Name of the character set defined in 'utils.data.charsets'
+    //  ('alpha', 'alphanumeric', 'numeric', 'hex', 'unicode', or
+    //  'emoji') or a string holding the characters to use.
+    string: function(pm, length, charset = "alphanumeric") {
+        if (!Number.isInteger(length) || length < 0) {
+            throw new Error("Invalid length '" + length + "': expected a non-negative integer");
+        }
+
+        var named      = Object.prototype.hasOwnProperty.call(utils.data.charsets, charset);
+        var characters = Array.from(named ? utils.data.charsets[charset] : String(charset));
+
+        if (characters.length === 0) {
+            throw new Error("Invalid character set: expected a non-empty string");
+        }
+
+        var result = "";
+
+        for (var i = 0; i < length; i++) {
+            result += utils.data.pick(pm, characters);
+        }
+
+        return result;
+    },
+
+    // DESCRIPTION
+    // Saves the values in variables, so that they can be used in
+    // request URLs, headers, and bodies via the '{{variable}}' syntax.
+    // Returns the object holding the saved (or kept) values.
+    //
+    // PARAMETERS
+    // - values (object)
+    //  Object mapping variable names to values; a value can also be
+    //  a function returning the value (it is called only if the value
+    //  is saved). Objects and arrays are saved as JSON text.
+    //
+    // - options (string or object, optional)
+    //  Name of the variable scope ('environment', 'collection' (default),
+    //  'global', or 'local') or an object with the following properties:
+    //  - scope: variable scope,
+    //  - overwrite: set to false to keep the values of the variables
+    //    that are already set (e.g. to generate values once per run).
+    store: function(pm, values, options) {
+        if (values === undefined || values === null || typeof values !== 'object') {
+            throw new Error("Invalid values: expected an object mapping variable names to values");
+        }
+
+        if (options === undefined || options === null) {
+            options = {};
+        } else if (typeof options === 'string') {
+            options = { scope: options };
+        }
+
+        var name      = options.scope || utils.data.defaultScope;
+        var scope     = utils.variableScope(pm, name);
+        var overwrite = options.overwrite !== false;
+        var result    = {};
+
+        Object.keys(values).forEach(function(variable) {
+            var current = scope.get(variable);
+
+            if (!overwrite && current !== undefined && current !== null && current !== "") {
+                result[variable] = current;
+                return;
+            }
+
+            var value = (typeof values[variable] === 'function') ? values[variable]() : values[variable];
+            var text  = (value !== null && typeof value === 'object') ? JSON.stringify(value) : value;
+
+            scope.set(variable, text);
+
+            utils.trace.log(pm, "Generated " + name + " variable '" + variable +
+                "': '" + utils.redactValue(pm, text, [variable]) + "'", "debug", "data");
+
+            result[variable] = value;
+        });
+
+        return result;
+    }
+    // End of 'utils.data' functions.
+    },
+
+    // DESCRIPTION
+    // Functions keeping track of the resources created by tests (such as
+    // users, orders, or tokens) and deleting them at the end of the test
+    // run (or when the run is stopped), so that aborted runs do not leave
+    // garbage behind. Registered resources are kept in a variable, so
+    // the resources left by a run that did not reach the teardown can
+    // be deleted by the next run (use the 'environment' scope to keep
+    // the registry between runs in the Postman app).
+    cleanup: {
+
+    // Variable holding the registered resources.
+    variableName: "CLEANUP_RESOURCES",
+
+    // Collection variable holding the request templates.
+    templatesVariableName: "CLEANUP_TEMPLATES",
+
+    // Scope of the variable holding the registered resources:
+    // 'environment', 'collection', or 'global'.
+    scope: "collection",
+
+    // DESCRIPTION
+    // Defines a named request template used to delete resources of the
+    // same type (call it from 'utils.run.once' in the collection
+    // pre-request script).
+    //
+    // PARAMETERS
+    // - name (string)
+    //  Name of the template, such as 'user'.
+    //
+    // - template (string or object)
+    //  URL or an object with the 'url', 'method' (default: 'DELETE'),
+    //  and 'headers' properties. The '{id}' placeholder in the URL is
+    //  replaced with the resource identifier; the '{{variable}}'
+    //  placeholders in the URL and header values are resolved when the
+    //  resource is deleted.
+    template: function(pm, name, template) {
+        if (name === undefined || name === null || name === "") {
+            throw new Error("Invalid template name: expected a non-empty string");
+        }
+
+        var templates = utils.cleanupList(pm, pm.collectionVariables,
+            utils.cleanup.templatesVariableName, {});
+
+        templates[name] = utils.cleanupRequest(pm, template);
+
+        pm.collectionVariables.set(utils.cleanup.templatesVariableName, JSON.stringify(templates));
+    },
+
+    // DESCRIPTION
+    // Registers created resource to be deleted during teardown.
+    // Returns the key of the registered resource.
+    //
+    // PARAMETERS
+    // - resource (string or object)
+    //  URL of the resource (deleted via the 'DELETE' method) or an
+    //  object with the following properties:
+    //  - url: URL of the resource,
+    //  - method: HTTP method (default: 'DELETE'),
+    //  - headers: object mapping header names to values (or an array
+    //    of objects with the 'key' and 'value' properties),
+    //  - template: name of the template (instead of 'url', 'method',
+    //    and 'headers'; see 'utils.cleanup.template'),
+    //  - id: identifier replacing the '{id}' placeholder in the URL,
+    //  - name: description of the resource used in log messages,
+    //  - key: key identifying the resource (default: URL or the
+    //    template name followed by identifier).
+    add: function(pm, resource) {
+        var entry = null;
+
+        if (resource !== null && typeof resource === 'object' &&
+            resource.template !== undefined && resource.template !== null) {
+            entry = { template: resource.template };
+        } else {
+            entry = utils.cleanupRequest(pm, resource);
+        }
+
+        if (resource !== null && typeof resource === 'object') {
+            if (resource.id !== undefined && resource.id !== null) {
+                entry.id = String(resource.id);
+            }
+
+            if (resource.name !== undefined && resource.name !== null) {
+                entry.name = String(resource.name);
+            }
+        }
+
+        entry.key = (resource !== null && typeof resource === 'object' && resource.key) ?
+            String(resource.key) :
+            ((entry.template ? entry.template : entry.url) +
+                ((entry.id === undefined) ? "" : ":" + entry.id));
+
+        var scope     = utils.variableScope(pm, utils.cleanup.scope);
+        var resources = utils.cleanupList(pm, scope, utils.cleanup.variableName, []).filter(function(item) {
+            return item.key !== entry.key;
+        });
+
+        resources.push(entry);
+
+        scope.set(utils.cleanup.variableName, JSON.stringify(resources));
+
+        utils.trace.log(pm, "Registered " + (entry.name || entry.key) + " for cleanup", "debug", "cleanup");
+
+        return entry.key;
+    },
+
+    // DESCRIPTION
+    // Unregisters resource (e.g. after the test deleted it).
+    //
+    // PARAMETERS
+    // - key (string)
+    //  Key of the resource (returned by 'utils.cleanup.add').
+    remove: function(pm, key) {
+        var scope     = utils.variableScope(pm, utils.cleanup.scope);
+        var resources = utils.cleanupList(pm, scope, utils.cleanup.variableName, []);
+
+        scope.set(utils.cleanup.variableName, JSON.stringify(resources.filter(function(item) {
+            return item.key !== key;
+        })));
+    },
+
+    // DESCRIPTION
+    // Returns the array of registered resources.
+    list: function(pm) {
+        return utils.cleanupList(pm, utils.variableScope(pm, utils.cleanup.scope), utils.cleanup.variableName, []);
+    },
+
+    // DESCRIPTION
+    // Unregisters all resources (without deleting them).
+    reset: function(pm) {
+        utils.variableScope(pm, utils.cleanup.scope).unset(utils.cleanup.variableName);
+    },
+
+    // DESCRIPTION
+    // Deletes registered resources in reverse order of registration via
+    // 'pm.sendRequest' (call it from the test script of the last request
+    // in the collection's last folder; it is also called by 'utils.stop'
+    // if requested). Resources that return 2xx, 404 (Not Found), or 410
+    // (Gone) status codes are considered deleted and unregistered; the
+    // rest (including the resources whose requests fail or whose
+    // responses cannot be processed) stay registered, so the next
+    // teardown can retry them. Every
+    // result is logged via 'utils.trace.log' under the 'cleanup'
+    // namespace and the summary is reported as a test that fails if any
+    // resource could not be deleted.
+    //
+    // PARAMETERS
+    // - name (string, optional, default='Cleanup')
+    //  Name of the test reporting the result.
+    //
+    // - callback (function, optional)
+    //  Function called after all requests complete; receives the arrays
+    //  of deleted and failed resources.
+    run: function(pm, name, callback) {
+        if (name === undefined || name === null || name === "") {
+            name = "Cleanup";
+        }
+
+        var scope     = utils.variableScope(pm, utils.cleanup.scope);
+        var resources = utils.cleanupList(pm, scope, utils.cleanup.variableName, []);
+        var templates = utils.cleanupList(pm, pm.collectionVariables,
+            utils.cleanup.templatesVariableName, {});
+
+        var deleted = [];
+        var failed  = [];
+
+        var finish = function() {
+            // Keep resources that could not be deleted for the next teardown
+            // (along with the resources registered while deleting).
+            var remaining = utils.cleanupList(pm, scope, utils.cleanup.variableName, []).filter(function(item) {
+                return !deleted.some(function(entry) {
+                    return entry.key === item.key;
+                });
+            });
+
+            if (remaining.length > 0) {
+                scope.set(utils.cleanup.variableName, JSON.stringify(remaining));
+            } else {
+                scope.unset(utils.cleanup.variableName);
+            }
+
+            utils.trace.log(pm, name + ": Deleted " + deleted.length + " of " + resources.length +
+                " resource(s)" + ((failed.length > 0) ? "; failed to delete " + failed.length : ""),
+                "info", "cleanup");
+
+            pm.test(name, function() {
+                try {
+                    utils.prologue(pm, name);
+
+                    if (failed.length > 0) {
+                        pm.expect.fail("Expected all " + resources.length +
+                            " registered resource(s) to be deleted but failed to delete " +
+                            failed.length + ": " + failed.map(function(entry) {
+                                return (entry.name || entry.key) + " (" + entry.error + ")";
+                            }).join(", "));
+                    }
+                } catch (e) {
+                    utils.exception(pm, e, name);
+                } finally {
+                    utils.epilogue(pm, name);
+                }
+            });
+
+            if (callback !== undefined && callback !== null && (typeof callback === 'function')) {
+                callback(deleted, failed);
+            }
+        };
+
+        var next = function(index) {
+            if (index < 0) {
+                finish();
+                return;
+            }
+
+            var entry   = resources[index];
+            var label   = entry.name || entry.key;
+            var request = null;
+
+            try {
+                request = utils.cleanupResolve(pm, entry, templates);
+            } catch (e) {
+                entry.error = e.message;
+                failed.push(entry);
+
+                utils.trace.log(pm, name + ": Cannot delete " + label + ": " + e.message, "warn", "cleanup");
+
+                next(index - 1);
+                return;
+            }
+
+            pm.sendRequest(request, function(error, response) {
+                try {
+                    if (error !== null && error !== undefined) {
+                        throw new Error(String(error));
+                    }
+
+                    if ((response.code < 200 || response.code > 299) &&
+                        response.code !== 404 && response.code !== 410) {
+                        throw new Error(request.method + " " + request.url + " returned " + response.code +
+                            (response.status ? " " + response.status : ""));
+                    }
+
+                    utils.trace.log(pm, name + ": Deleted " + label + " (" + request.method + " " +
+                        request.url + " returned " + response.code + ")", "info", "cleanup");
+
+                    deleted.push(entry);
+                } catch (e) {
+                    entry.error = e.message;
+                    failed.push(entry);
+
+                    utils.trace.log(pm, name + ": Failed to delete " + label + ": " + entry.error,
+                        "warn", "cleanup");
+                }
+
+                next(index - 1);
+            });
+        };
+
+        next(resources.length - 1);
+    }
+    // End of 'utils.cleanup' functions.
+    },
+
+    // DESCRIPTION
+    // Functions polling long-running (asynchronous) operations until
+    // the response satisfies the specified condition.
+    //
+    // All poll functions accept the 'predicate' parameter holding the
+    // function that receives the response object and returns true if
+    // the condition is met (exceptions thrown by the predicate are
+    // treated as the condition not being met), and the optional 'options'
+    // object with the following properties (defaults are defined in
+    // 'utils.poll.defaults'):
+    //
+    // - attempts: maximum number of attempts,
+    // - delay: delay between attempts in milliseconds,
+    // - backoff: 'fixed' or 'exponential' (the delay gets multiplied
+    //   by the factor after every attempt),
+    // - factor: exponential backoff multiplier,
+    // - maxDelay: maximum delay between attempts in milliseconds (does
+    //   not apply to the delay requested via the 'Retry-After' header),
+    // - retryAfter: set to false to ignore the 'Retry-After' header
+    //   (by default, the delay will not be shorter than the value of
+    //   the header).
+    poll: {
+
+    // Default polling options.
+    defaults: {
+        attempts: 10,
+        delay: 1000,
+        backoff: "fixed",
+        factor: 2,
+        maxDelay: 30000,
+        retryAfter: true
+    },
+
+    // Prefix of the collection variables holding attempt counters for
+    // the requests polled via 'utils.poll.retry'.
+    variablePrefix: "POLL_ATTEMPT_",
+
+    // DESCRIPTION
+    // Sends the request via 'pm.sendRequest' until the response
+    // satisfies the condition (or the number of attempts is exhausted)
+    // and reports the result as a test. The test fails if the condition
+    // is not met after the last attempt (the failure message includes
+    // the last observed status).
+    //
+    // PARAMETERS
+    // - name
+    //  Same as in the 'test.initialize' function.
+    //
+    // - request (string or object)
+    //  URL or request definition accepted by 'pm.sendRequest'.
+    //
+    // - predicate (function)
+    //  Function checking the response (see 'utils.poll').
+    //
+    // - options (object, optional)
+    //  Polling options (see 'utils.poll').
+    //
+    // - process (function, optional)
+    //  Implements additional tests; receives the last response.
+    //
+    // - onerror
+    //  Same as in the 'test.initialize' function.
+    send: function(pm, name, request, predicate, options, process, onerror) {
+        name    = utils.name(pm, name);
+        options = utils.pollOptions(pm, options);
+
+        var attempt = function(number) {
+            pm.sendRequest(request, function(error, response) {
+                var done = (error === null || error === undefined) &&
+                    utils.pollCheck(pm, predicate, response);
+
+                if (done || number >= options.attempts) {
+                    utils.trace.log(pm, name + ": Attempt " + number + " of " + options.attempts +
+                        (error ? " failed: " + error : " returned status " +
+                            response.code + (done ? " (condition met)" : " (condition not met)")), "info", "poll");
+
+                    pm.test(name, function() {
+                        try {
+                            utils.prologue(pm, name);
+
+                            if (!done) {
+                                pm.expect.fail("Condition not met after " + number +
+                                    " attempt(s); last observed " + (error ?
+                                        "error: " + error :
+                                        "status: " + response.code + " " + response.status));
+                            }
+
+                            if (process !== undefined &&
+                                process !== null &&
+                                (typeof process === 'function')) {
+                                process(response);
+                            }
+                        } catch (e) {
+                            if (onerror !== undefined) {
+                                utils.failure(pm, onerror);
+                            }
+
+                            utils.exception(pm, e, name);
+                        } finally {
+                            utils.epilogue(pm, name);
+                        }
+                    });
+
+                    return;
+                }
+
+                var delay = utils.pollDelay(pm, options, number, error ? null : response);
+
+                utils.trace.log(pm, name + ": Attempt " + number + " of " + options.attempts +
+                    (error ? " failed: " + error : " returned status " + response.code +
+                        " (condition not met)") + "; retrying in " + delay + " ms", "info", "poll");
+
+                setTimeout(function() {
+                    attempt(number + 1);
+                }, delay);
+            });
+        };
+
+        attempt(1);
+    },
+
+    // DESCRIPTION
+    // Re-queues the current request (via 'postman.setNextRequest') until
+    // the response satisfies the condition. Returns true if the condition
+    // is met (then the caller can run the tests), or false if the request
+    // has been re-queued or the number of attempts has been exhausted (in
+    // the latter case, a failed test is added to the run). Attempts are
+    // counted in a collection variable, which is cleared when polling
+    // ends. Call this function from the request test script; it only
+    // works in the collection runner (or newman).
+    //
+    // PARAMETERS
+    // - predicate (function)
+    //  Function checking the response (see 'utils.poll').
+    //
+    // - options (object, optional)
+    //  Polling options (see 'utils.poll').
+    retry: function(pm, predicate, options) {
+        options = utils.pollOptions(pm, options);
+
+        var name     = pm.info.requestName;
+        var variable = utils.poll.variablePrefix + name;
+        var number   = Number(pm.collectionVariables.get(variable) || 0) + 1;
+        var done     = utils.pollCheck(pm, predicate, pm.response);
+
+        if (done || number >= options.attempts) {
+            pm.collectionVariables.unset(variable);
+
+            utils.trace.log(pm, name + ": Attempt " + number + " of " + options.attempts +
+                " returned status " + pm.response.code +
+                (done ? " (condition met)" : " (condition not met)"), "info", "poll");
+
+            if (!done) {
+                pm.test(utils.name(pm), function() {
+                    pm.expect.fail("Condition not met after " + number +
+                        " attempt(s); last observed status: " +
+                        pm.response.code + " " + pm.response.status);
+                });
+            }
+
+            return done;
+        }
+
+        var delay = utils.pollDelay(pm, options, number, pm.response);
+
+        utils.trace.log(pm, name + ": Attempt " + number + " of " + options.attempts +
+            " returned status " + pm.response.code +
+            " (condition not met); retrying in " + delay + " ms", "info", "poll");
+
+        pm.collectionVariables.set(variable, number);
+
+        // The next attempt is queued after the delay.
+        utils.wait(pm, delay, false, function() {
+            postman.setNextRequest(name);
+        });
+
+        return false;
+    }
+    // End of 'utils.poll' functions.
+    },
+
+    // DESCRIPTION
+    // Functions implementing trace logging.
+    trace: {
+
+    // Variable used for setting and checking trace level.
+    variableName: "TRACE_LEVEL",
+
+    // Variable holding trace options (namespace levels, format, buffering).
+    optionsVariableName: "TRACE_OPTIONS",
+
+    // Local variable holding buffered trace messages.
+    bufferVariableName: "TRACE_BUFFER",
+
+    // Default trace level (start and end of functions).
+    defaultLevel: 2,
+
+    // Named trace levels (ranks used to compare levels). Messages logged
+    // with named levels are printed via the matching console methods
+    // ('debug' and 'verbose' messages are printed via 'console.log');
+    // messages logged with numeric levels are always printed via
+    // 'console.log'. Numeric levels keep their original meaning: 0 turns
+    // trace off, 1 is the start of operations ('info'), 2 is the end of
+    // operations ('debug'), and higher values are custom levels (3 is
+    // the same as 'verbose').
+    levels: {
+        none: 0,
+        error: 1,
+        warn: 2,
+        info: 3,
+        debug: 4,
+        verbose: 5
+    },
+
+    // DESCRIPTION
+    // Functions setting trace level and options (must be called at
+    // beginning of test run).
+    set: {
+        // DESCRITION
+        // Do not print trace messages to console
+        // (trace level = 'none').
+        none: function(pm) {
+            utils.trace.set.custom(pm, "none");
+        },
+
+        // DESCRITION
+        // Only print trace messages indicating start of the operation to console
+        // (trace level = 'info').
+        minimal: function(pm) {
+            utils.trace.set.custom(pm, "info");
+        },
+
+        // DESCRITION
+        // Print both start and end of operation trace messages to console.
+        // (trace level = 'debug').
+        all: function(pm) {
+            utils.trace.set.custom(pm, "debug");
+        },
+
+        // DESCRITION
+        // Default is to print all.
+        // (trace level = 'debug').
+        default: function(pm) {
+            utils.trace.set.custom(pm, utils.trace.defaultLevel);
+        },
+
+        // DESCRITION
+        // Sets trace level for all messages or for the messages logged by
+        // the functions of the specified namespace, such as 'run', 'test',
+        // 'extract', or 'poll' (namespace level overrides the global level).
+        //
+        // PARAMETERS
+        // - level (string or integer)
+        //  Named level ('none', 'error', 'warn', 'info', 'debug', or
+        //  'verbose') or a non-negative integer (0 - none, 1 - 'info',
+        //  2 - 'debug', 3 - 'verbose'; you can use higher values for
+        //  custom levels).
+        //
+        // - namespace (string, optional)
+        //  Name of the namespace.
+        custom: function(pm, level, namespace) {
+            if (isNaN(utils.traceLevel(pm, level))) {
+                throw new Error("Invalid trace level '" + level + "': expected one of '" +
+                    Object.keys(utils.trace.levels).join("', '") + "' or a non-negative integer");
+            }
+
+            if (namespace === undefined || namespace === null || namespace === "") {
+                pm.collectionVariables.set(utils.trace.variableName, level);
+                return;
+            }
+
+            var options = utils.traceOptions(pm);
+
+            options.namespaces[namespace] = level;
+
+            pm.collectionVariables.set(utils.trace.optionsVariableName, JSON.stringify(options));
+        },
+
+        // DESCRITION
+        // Sets format of trace messages.
+        //
+        // PARAMETERS
+        // - format (string)
+        //  'text' (default) prints messages as is; 'json' prints every
+        //  message as a single line JSON object holding the time, level,
+        //  namespace, run identifier, request and folder names, iteration,
+        //  time elapsed since the start of the run (in milliseconds), and
+        //  the message.
+        format: function(pm, format) {
+            if (format !== "text" && format !== "json") {
+                throw new Error("Invalid trace format '" + format + "': expected 'text' or 'json'");
+            }
+
+            var options = utils.traceOptions(pm);
+
+            options.format = format;
+
+            pm.collectionVariables.set(utils.trace.optionsVariableName, JSON.stringify(options));
+        },
+
+        // DESCRITION
+        // Turns buffering of trace messages on or off. When buffering is on,
+        // trace messages (except errors) are not printed immediately, but
+        // kept until the end of the request and printed only if a test (or
+        // script) fails.
+        //
+        // PARAMETERS
+        // - enabled (boolean)
+        //  Set to 'true' to buffer trace messages.
+        buffer: function(pm, enabled) {
+            var options = utils.traceOptions(pm);
+
+            options.buffer = (enabled === true);
+
+            pm.collectionVariables.set(utils.trace.optionsVariableName, JSON.stringify(options));
+        },
+
+        // DESCRITION
+        // Resets trace level, namespace levels, and options to defaults.
+        reset: function(pm) {
+            pm.collectionVariables.unset(utils.trace.variableName);
+            pm.collectionVariables.unset(utils.trace.optionsVariableName);
+        }
+    },
+
+    // DESCRIPTION
+    // Returns the identity of the test run holding the run correlation
+    // identifier and the start time used to calculate elapsed time in
+    // JSON trace messages (see 'utils.run.start'); calling this function
+    // is optional.
+    start: function(pm) {
+        return utils.runState(pm);
+    },
+
+    // DESCRIPTION
+    // Returns 'true' if the messages of the specified level and namespace
+    // will be printed (use it to avoid building expensive messages).
+    //
+    // PARAMETERS
+    // - level
+    //  Same as in 'utils.trace.log'.
+    //
+    // - namespace
+    //  Same as in 'utils.trace.log'.
+    enabled: function(pm, level, namespace) {
+        var options    = utils.traceOptions(pm);
+        var traceLevel = utils.traceLevel(pm, pm.collectionVariables.get(utils.trace.variableName));
+
+        if (namespace !== undefined && namespace !== null &&
+            options.namespaces[namespace] !== undefined) {
+            traceLevel = utils.traceLevel(pm, options.namespaces[namespace]);
+        }
+
+        if (isNaN(traceLevel)) {
+            traceLevel = utils.traceLevel(pm, utils.trace.defaultLevel);
+        }
+
+        var messageLevel = utils.traceLevel(pm, level);
+
+        if (isNaN(messageLevel) || messageLevel < 1) {
+            messageLevel = utils.traceLevel(pm, utils.trace.defaultLevel);
+        }
+
+        return traceLevel >= messageLevel;
+    },
+
+    // DESCRIPTION
+    // Prints a trace message (normally about starting or ending function).
+    //
+    // PARAMETERS
+    // - message (string)
+    //     Trace message.
+    //
+    // - level (string or integer, optional, default=2)
+    //  Specifies trace level of the message which must not be greater than
+    //  the trace level set for the namespace (or the global trace level).
+    //  Can be a named level ('error', 'warn', 'info', 'debug', 'verbose')
+    //  or a positive integer (see 'utils.trace.levels').
+    //
+    // - namespace (string, optional)
+    //  Name of the namespace that logs the message, such as 'run' or 'test'.
+    log: function(pm, message, level, namespace) {
+        if (!utils.trace.enabled(pm, level, namespace)) {
+            return;
+        }
+
+        var options      = utils.traceOptions(pm);
+        var messageLevel = utils.traceLevel(pm, level);
+
+        if (isNaN(messageLevel) || messageLevel < 1) {
+            level = utils.trace.defaultLevel;
+        }
+
+        var name = (typeof level === 'string' &&
+            Object.prototype.hasOwnProperty.call(utils.trace.levels, level.toLowerCase())) ?
+            level.toLowerCase() : null;
+
+        message = utils.redact.text(pm, message);
+
+        if (options.format === "json") {
+            // Logging must not start or update the run.
+            var run    = utils.runStored(pm);
+            var folder = pm.variables.get(utils.run.folderVariableName);
+
+            message = JSON.stringify({
+                time: new Date().toISOString(),
+                level: (name === null) ? Number(level) : name,
+                namespace: (namespace === undefined) ? null : namespace,
+                run: (run === null) ? null : run.id,
+                request: pm.info.requestName,
+                folder: (folder === undefined) ? null : folder,
+                iteration: pm.info.iteration,
+                elapsed: (run === null) ? null : Date.now() - run.started,
+                message: message
+            });
+        }
+
+        var method = (name === "error" || name === "warn" || name === "info") ? name : "log";
+
+        // Errors are never buffered.
+        if (options.buffer && method !== "error") {
+            var buffer = pm.variables.get(utils.trace.bufferVariableName);
+
+            buffer = (buffer === undefined || buffer === null || buffer === "") ?
+                [] : JSON.parse(buffer);
+
+            buffer.push({ method: method, message: message });
+
+            pm.variables.set(utils.trace.bufferVariableName, JSON.stringify(buffer));
+        } else {
+            console[method](message);
+        }
+    },
+
+    // DESCRIPTION
+    // Prints buffered trace messages and clears the buffer (called
+    // automatically when a test or script fails).
+    flush: function(pm) {
+        var buffer = pm.variables.get(utils.trace.bufferVariableName);
+
+        if (buffer === undefined || buffer === null || buffer === "") {
+            return;
+        }
+
+        pm.variables.unset(utils.trace.bufferVariableName);
+
+        JSON.parse(buffer).forEach(function(item) {
+            console[item.method](item.message);
+        });
+    },
+
+    // DESCRIPTION
+    // Shortcuts printing trace messages with named levels.
+    //
+    // PARAMETERS
+    // - message
+    //  Same as in 'utils.trace.log'.
+    //
+    // - namespace
+    //  Same as in 'utils.trace.log'.
+    error: function(pm, message, namespace) {
+        utils.trace.log(pm, message, "error", namespace);
+    },
+
+    warn: function(pm, message, namespace) {
+        utils.trace.log(pm, message, "warn", namespace);
+    },
+
+    info: function(pm, message, namespace) {
+        utils.trace.log(pm, message, "info", namespace);
+    },
+
+    debug: function(pm, message, namespace) {
+        utils.trace.log(pm, message, "debug", namespace);
+    },
+
+    verbose: function(pm, message, namespace) {
+        utils.trace.log(pm, message, "verbose", namespace);
+    }
+    // End of 'utils.trace' functions.
+    },
+
+    // DESCRIPTION
+    // Functions masking secrets (such as tokens, passwords, and API keys)
+    // in the text printed by the library: trace messages, failure
+    // messages reported by 'utils.exception' and 'utils.error', and
+    // failure messages saved for the run report by 'utils.reportRecord'.
+    redact: {
+
+    // Collection variable holding additional redaction rules.
+    variableName: "REDACT_OPTIONS",
+
+    // Text replacing masked values.
+    mask: "***",
+
+    // Compiled redaction rules (built on first use in the script and
+    // rebuilt when the rules change; see 'utils.redactRules').
+    compiled: null,
+
+    // Names of headers which values are masked in header dumps ('Name:
+    // value' lines) and JSON properties (case-insensitive).
+    headers: [
+        "Authorization",
+        "Proxy-Authorization",
+        "Cookie",
+        "Set-Cookie",
+        "X-API-Key",
+        "API-Key",
+        "X-Auth-Token",
+        "X-Access-Token",
+        "Ocp-Apim-Subscription-Key"
+    ],
+
+    // Names of properties which values are masked in JSON text and
+    // URL-encoded parameters (case-insensitive).
+    properties: [
+        "password",
+        "passwd",
+        "pwd",
+        "secret",
+        "client_secret",
+        "clientSecret",
+        "token",
+        "access_token",
+        "accessToken",
+        "refresh_token",
+        "refreshToken",
+        "id_token",
+        "idToken",
+        "api_key",
+        "apiKey",
+        "private_key",
+        "privateKey",
+        "assertion",
+        "client_assertion"
+    ],
+
+    // Regular expressions matching secrets anywhere in the text. If the
+    // expression has a capture group, the text captured by the first
+    // group is kept and the rest of the match is masked.
+    patterns: [
+        // Bearer tokens.
+        /(\bBearer\s+)[A-Za-z0-9\-._~+\/]+=*/gi,
+        // Basic authentication credentials.
+        /(\bBasic\s+)[A-Za-z0-9+\/]+=*/gi,
+        // JSON web tokens.
+        /\beyJ[A-Za-z0-9_\-]*\.[A-Za-z0-9_\-]*\.[A-Za-z0-9_\-]*/g,
+        // Credentials in URLs.
+        /(\b[a-z][a-z0-9+.\-]*:\/\/[^\s\/:@]+:)[^\s\/@]+(?=@)/gi
+    ],
+
+    // DESCRIPTION
+    // Adds redaction rules for the test collection run (call it from
+    // 'utils.run.once' in the collection pre-request script). The rules
+    // extend the default lists.
+    //
+    // PARAMETERS
+    // - rules (object)
+    //  Object with the following optional properties:
+    //  - headers (array of strings): names of headers to mask,
+    //  - properties (array of strings): names of properties to mask,
+    //  - patterns (array of regular expressions or strings): patterns
+    //  of text to mask.
+    add: function(pm, rules) {
+        if (rules === undefined || rules === null || typeof rules !== 'object') {
+            throw new Error("Invalid redaction rules: expected an object");
+        }
+
+        var options = utils.redactOptions(pm);
+
+        ["headers", "properties", "patterns"].forEach(function(key) {
+            if (rules[key] === undefined || rules[key] === null) {
+                return;
+            }
+
+            var values = Array.isArray(rules[key]) ? rules[key] : [rules[key]];
+
+            values.forEach(function(value) {
+                if (key === "patterns") {
+                    if (value instanceof RegExp) {
+                        value = { source: value.source, flags: value.flags };
+                    } else if (typeof value === 'string' && value !== "") {
+                        value = { source: value, flags: "g" };
+                    } else {
+                        throw new Error("Invalid redaction pattern '" + value +
+                            "': expected a regular expression or a string");
+                    }
+
+                    // Make sure the expression is valid before saving it.
+                    new RegExp(value.source, value.flags);
+                } else if (typeof value !== 'string' || value === "") {
+                    throw new Error("Invalid redaction " + key.replace(/s$/, "") +
+                        " name '" + value + "': expected a non-empty string");
+                }
+
+                options[key].push(value);
+            });
+        });
+
+        pm.collectionVariables.set(utils.redact.variableName, JSON.stringify(options));
+    },
+
+    // DESCRIPTION
+    // Removes redaction rules added via 'utils.redact.add' (the default
+    // rules remain in effect).
+    reset: function(pm) {
+        pm.collectionVariables.unset(utils.redact.variableName);
+    },
+
+    // DESCRIPTION
+    // Returns text with the secrets masked.
+    //
+    // PARAMETERS
+    // - text (string)
+    //  Text to redact (values of other types are converted to strings
+    //  or JSON).
+    //
+    // - headers (boolean, optional, default=false)
+    //  Set to 'true' if the text is a header dump holding 'Name: value'
+    //  lines (values of the redacted headers are masked).
+    text: function(pm, text, headers = false) {
+        if (text === undefined || text === null) {
+            return text;
+        }
+
+        if (typeof text !== 'string') {
+            try {
+                text = (typeof text === 'object') ? JSON.stringify(text) : String(text);
+            } catch (e) {
+                text = String(text);
+            }
+        }
+
+        var rules = utils.redactRules(pm);
+        var mask  = utils.redact.mask;
+
+        // Header lines, such as 'Authorization: Basic dXNlcjpwYXNz'.
+        if (headers && rules.header !== null) {
+            text = text.replace(rules.header, function(match, start, name, separator) {
+                return start + name + separator + mask;
+            });
+        }
+
+        // JSON properties (header names are also masked as keys, since
+        // headers are often printed as JSON objects).
+        if (rules.json !== null) {
+            text = text.replace(rules.json, function(match, name, value) {
+                return name + "\"" + mask + "\"";
+            });
+
+            // URL-encoded parameters, such as 'password=secret'.
+            text = text.replace(rules.parameter, function(match, start, name) {
+                return start + name + mask;
+            });
+        }
+
+        rules.patterns.forEach(function(pattern) {
+            text = text.replace(pattern, function(match, prefix) {
+                return ((typeof prefix === 'string') ? prefix : "") + mask;
+            });
+        });
+
+        return text;
+    }
+    // End of 'utils.redact' functions.
+    },
+
+    // DESCRIPTION
+    // Functions printing request and response details when a test or
+    // a script fails, so that the failure can be investigated without
+    // rerunning the request in the Postman app.
+    diagnostics: {
+
+    // Collection variable holding diagnostics options.
+    variableName: "DIAGNOSTICS_OPTIONS",
+
+    // Default diagnostics options.
+    defaults: {
+        // Trace level of the diagnostics (diagnostics are printed when
+        // this level is enabled for the 'diagnostics' namespace; see
+        // 'utils.trace.set.custom'). Diagnostics are off at the default
+        // trace level.
+        level: "verbose",
+
+        // Names of the request headers to print ('*' prints all headers).
+        requestHeaders: [
+            "Accept",
+            "Content-Type",
+            "Content-Length",
+            "If-Match",
+            "If-None-Match",
+            "Prefer",
+            "X-Request-ID",
+            "X-Correlation-ID"
+        ],
+
+        // Names of the response headers to print ('*' prints all headers).
+        responseHeaders: ["*"],
+
+        // Maximum number of characters of the request body to print
+        // (0 omits the body; -1 prints the whole body).
+        maxRequestBody: 1024,
+
+        // Maximum number of characters of the response body to print
+        // (0 omits the body; -1 prints the whole body).
+        maxResponseBody: 4096,
+
+        // Set to 'false' to print JSON bodies as is (instead of indented).
+        pretty: true
+    },
+
+    // DESCRIPTION
+    // Sets diagnostics options for the test collection run (call it from
+    // 'utils.run.once' in the collection pre-request script).
+    //
+    // PARAMETERS
+    // - options (object)
+    //  Object with any of the properties defined in
+    //  'utils.diagnostics.defaults' (the missing properties keep
+    //  their current values).
+    set: function(pm, options) {
+        if (options === undefined || options === null || typeof options !== 'object') {
+            throw new Error("Invalid diagnostics options: expected an object");
+        }
+
+        var current = utils.diagnosticsOptions(pm);
+
+        Object.keys(options).forEach(function(key) {
+            if (!Object.prototype.hasOwnProperty.call(utils.diagnostics.defaults, key)) {
+                throw new Error("Invalid diagnostics option '" + key + "': expected one of '" +
+                    Object.keys(utils.diagnostics.defaults).join("', '") + "'");
+            }
+
+            current[key] = options[key];
+        });
+
+        if (isNaN(utils.traceLevel(pm, current.level))) {
+            throw new Error("Invalid diagnostics level '" + current.level + "'");
+        }
+
+        pm.collectionVariables.set(utils.diagnostics.variableName, JSON.stringify(current));
+    },
+
+    // DESCRIPTION
+    // Resets diagnostics options to defaults.
+    reset: function(pm) {
+        pm.collectionVariables.unset(utils.diagnostics.variableName);
+    },
+
+    // DESCRIPTION
+    // Prints request and response details (called automatically when
+    // a test or a script fails). The details are redacted (see
+    // 'utils.redact') and logged via 'utils.trace.log' under the
+    // 'diagnostics' namespace.
+    //
+    // PARAMETERS
+    // - name
+    //  Same as in the 'test.initialize' function.
+    print: function(pm, name) {
+        var options = utils.diagnosticsOptions(pm);
+
+        if (!utils.trace.enabled(pm, options.level, "diagnostics")) {
+            return;
+        }
+
+        if (name === undefined || name === null || name === "") {
+            name = pm.info.requestName;
+        }
+
+        var lines = [name + ": Diagnostics"];
+
+        try {
+            if (pm.request) {
+                var url = String(pm.request.url);
+
+                // Resolve variables that may remain in the URL.
+                if (pm.variables && typeof pm.variables.replaceIn === 'function') {
+                    url = pm.variables.replaceIn(url);
+                }
+
+                lines.push("Request: " + pm.request.method + " " + url);
+
+                utils.diagnosticsHeaders(pm, lines, "Request headers",
+                    pm.request.headers, options.requestHeaders);
+
+                utils.diagnosticsBody(pm, lines, "Request body",
+                    pm.request.body ? String(pm.request.body) : "",
+                    options.maxRequestBody, options.pretty);
+            }
+
+            // Response is not available in pre-request scripts.
+            if (pm.response) {
+                lines.push("Response: " + pm.response.code +
+                    (pm.response.status ? " " + pm.response.status : "") +
+                    " (" + pm.response.responseTime + " ms)");
+
+                utils.diagnosticsHeaders(pm, lines, "Response headers",
+                    pm.response.headers, options.responseHeaders);
+
+                utils.diagnosticsBody(pm, lines, "Response body",
+                    pm.response.text(), options.maxResponseBody, options.pretty);
+            }
+        } catch (e) {
+            lines.push("Cannot get diagnostics: " + e.message);
+        }
+
+        utils.trace.log(pm, lines.join("\n"), options.level, "diagnostics");
+    }
+    // End of 'utils.diagnostics' functions.
+    },
+
+    // DESCRIPTION
+    // Functions enforcing response time budgets and collecting response
+    // times across the test collection run.
+    timing: {
+
+    // Collection variable holding response times collected during the run.
+    variableName: "RESPONSE_TIMES",
+
+    // Local variable holding the response time budget (in milliseconds)
+    // for the current request.
+    budgetVariableName: "RESPONSE_TIME_BUDGET",
+
+    // Local variable holding the name of the request which response time
+    // has been saved (so it is saved once per request execution).
+    requestVariableName: "RESPONSE_TIME_REQUEST",
+
+    // DESCRIPTION
+    // Sets the response time budget that will be enforced by the
+    // 'utils.test.positive' and 'utils.test.negative' functions for the
+    // current request. Call it from 'utils.run.always' in the collection
+    // pre-request script to set a collection-wide budget, or in a folder
+    // pre-request script to set (or override) the budget for the folder.
+    //
+    // PARAMETERS
+    // - budget (positive integer)
+    //  Maximum response time in milliseconds (pass null or 0 to remove
+    //  the budget).
+    budget: function(pm, budget) {
+        if (budget === undefined || budget === null || budget <= 0) {
+            pm.variables.unset(utils.timing.budgetVariableName);
+        } else {
+            pm.variables.set(utils.timing.budgetVariableName, budget);
+        }
+    },
+
+    // DESCRIPTION
+    // Clears response times collected during the previous runs (call it
+    // from 'utils.run.once' in the collection pre-request script).
+    reset: function(pm) {
+        pm.collectionVariables.unset(utils.timing.variableName);
+    },
+
+    // DESCRIPTION
+    // Prints the minimum, median, 95th percentile, and maximum response
+    // times per request and per folder collected during the run (call it
+    // from the test script of the last request in the collection). If any
+    // response exceeded its budget, a failed test listing the violations
+    // will be added to the run.
+    //
+    // PARAMETERS
+    // - fail (boolean, optional, default=true)
+    //  Set to 'false' to only print the violations without failing.
+    summary: function(pm, fail = true) {
+        var data = utils.timingData(pm);
+
+        var row = function(label, times, budget) {
+            var sorted = times.slice().sort(function(a, b) { return a - b; });
+            var rank   = function(p) {
+                return sorted[Math.max(0, Math.ceil(p * sorted.length) - 1)];
+            };
+
+            return label.padEnd(40) +
+                String(sorted.length).padStart(7) +
+                String(sorted[0]).padStart(8) +
+                String(rank(0.5)).padStart(8) +
+                String(rank(0.95)).padStart(8) +
+                String(sorted[sorted.length - 1]).padStart(8) +
+                String(budget === undefined || budget === null ? "" : budget).padStart(8);
+        };
+
+        var header = "".padEnd(40) + "count".padStart(7) + "min".padStart(8) +
+            "median".padStart(8) + "p95".padStart(8) + "max".padStart(8) + "budget".padStart(8);
+
+        var lines = ["RESPONSE TIMES (ms)", "", "Requests" + header.substring(8)];
+
+        Object.keys(data.requests).forEach(function(name) {
+            lines.push(row(name, data.requests[name].times, data.requests[name].budget));
+        });
+
+        if (Object.keys(data.folders).length > 0) {
+            lines.push("", "Folders" + header.substring(7));
+
+            Object.keys(data.folders).forEach(function(name) {
+                lines.push(row(name, data.folders[name].times));
+            });
+        }
+
+        console.log(lines.join("\n"));
+
+        if (data.violations.length === 0) {
+            return;
+        }
+
+        var message = data.violations.length + " response(s) exceeded response time budget:";
+
+        data.violations.forEach(function(violation) {
+            message += "\n" + violation.request +
+                (violation.folder ? " (" + violation.folder + ")" : "") + ": " +
+                violation.time + " ms (budget: " + violation.budget + " ms)";
+        });
+
+        if (fail) {
+            pm.test("Response time budgets", function() {
+                pm.expect.fail(message);
+            });
+        } else {
+            console.warn(message);
+        }
+    }
+    // End of 'utils.timing' functions.
+    },
+
+    // DESCRIPTION
+    // Functions reporting results of the primary test functions
+    // ('utils.test.*') and folder level functions ('utils.run.*')
+    // collected during the test collection run. Call them from the test
+    // script of the last request in the collection.
+    //
+    // All report functions accept the optional 'all' parameter: by
+    // default, only tests and failed scripts are reported; set it to
+    // 'true' to also report scripts that succeeded.
+    report: {
+
+    // Collection variable holding results collected during the run.
+    variableName: "TEST_RESULTS",
+
+    // DESCRIPTION
+    // Clears results collected during the previous runs (call it from
+    // 'utils.run.once' in the collection pre-request script).
+    reset: function(pm) {
+        pm.collectionVariables.unset(utils.report.variableName);
+    },
+
+    // DESCRIPTION
+    // Prints the table of results and totals to console and returns
+    // the totals object.
+    //
+    // PARAMETERS
+    // - all (boolean, optional, default=false)
+    //  Same as in 'utils.report'.
+    summary: function(pm, all = false) {
+        var results = utils.reportResults(pm, all);
+        var totals  = utils.reportTotals(pm, results);
+
+        var lines = [
+            "TEST RESULTS",
+            "",
+            "Outcome".padEnd(9) + "Type".padEnd(13) + "Time (ms)".padStart(10) + "  Name"
+        ];
+
+        results.forEach(function(result) {
+            lines.push(result.outcome.toUpperCase().padEnd(9) +
+                result.type.padEnd(13) +
+                String(result.duration === null ? "" : result.duration).padStart(10) +
+                "  " + result.name +
+                (result.message ? "\n" + "".padEnd(34) + result.message.replace(/\n/g, "\n" + "".padEnd(34)) : ""));
+        });
+
+        lines.push("",
+            "Total: " + totals.total + ", passed: " + totals.passed +
+            ", failed: " + totals.failed + ", skipped: " + totals.skipped +
+            ", time: " + totals.duration + " ms");
+
+        console.log(lines.join("\n"));
+
+        return totals;
+    },
+
+    // DESCRIPTION
+    // Prints results in the JUnit XML format to console and returns
+    // the XML text. Results are grouped in test suites by folder
+    // (see 'utils.run.always').
+    //
+    // PARAMETERS
+    // - name (string, optional, default=collection name or 'Postman')
+    //  Name of the root 'testsuites' element.
+    //
+    // - all (boolean, optional, default=false)
+    //  Same as in 'utils.report'.
+    junit: function(pm, name, all = false) {
+        var results = utils.reportResults(pm, all);
+        var totals  = utils.reportTotals(pm, results);
+        var xml     = function(value) {
+            return utils.reportXml(pm, value);
+        };
+
+        if (name === undefined || name === null || name === "") {
+            name = (pm.info.collectionName) ? pm.info.collectionName : "Postman";
+        }
+
+        var suites = {};
+
+        results.forEach(function(result) {
+            var suite = result.folder ? result.folder : name;
+
+            if (!(suite in suites)) {
+                suites[suite] = [];
+            }
+
+            suites[suite].push(result);
+        });
+
+        var lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<testsuites name="' + xml(name) + '" tests="' + totals.total +
+                '" failures="' + totals.failed + '" skipped="' + totals.skipped +
+                '" time="' + (totals.duration / 1000) + '">'
+        ];
+
+        Object.keys(suites).forEach(function(suite) {
+            var items = suites[suite];
+            var stats = utils.reportTotals(pm, items);
+
+            lines.push('  <testsuite name="' + xml(suite) + '" tests="' + stats.total +
+                '" failures="' + stats.failed + '" skipped="' + stats.skipped +
+                '" time="' + (stats.duration / 1000) + '">');
+
+            items.forEach(function(result) {
+                var testcase = '    <testcase name="' + xml(result.name) +
+                    '" classname="' + xml(result.request) +
+                    '" time="' + ((result.duration || 0) / 1000) + '"';
+
+                if (result.outcome === "failed") {
+                    lines.push(testcase + '>',
+                        '      <failure type="' + xml(result.type) + '" message="' +
+                            xml(result.message) + '">' + xml(result.message) + '</failure>',
+                        '    </testcase>');
+                } else if (result.outcome === "skipped") {
+                    lines.push(testcase + '>',
+                        '      <skipped' + (result.message ?
+                            ' message="' + xml(result.message) + '"' : '') + '/>',
+                        '    </testcase>');
+                } else {
+                    lines.push(testcase + '/>');
+                }
+            });
+
+            lines.push('  </testsuite>');
+        });
+
+        lines.push('</testsuites>');
+
+        var text = lines.join("\n");
+
+        console.log(text);
+
+        return text;
+    },
+
+    // DESCRIPTION
+    // Prints results in the Markdown format (totals followed by
+    // the table of results) to console and returns the Markdown text.
+    //
+    // PARAMETERS
+    // - all (boolean, optional, default=false)
+    //  Same as in 'utils.report'.
+    markdown: function(pm, all = false) {
+        var results = utils.reportResults(pm, all);
+        var totals  = utils.reportTotals(pm, results);
+
+        var cell = function(value) {
+            return String(value === undefined || value === null ? "" : value)
+                .replace(/</g, "&lt;").replace(/>/g, "&gt;")
+                .replace(/\|/g, "\\|").replace(/\r?\n/g, "<br>");
+        };
+
+        var lines = [
+            "| Total | Passed | Failed | Skipped | Time (ms) |",
+            "|------:|-------:|-------:|--------:|----------:|",
+            "| " + totals.total + " | " + totals.passed + " | " + totals.failed +
+                " | " + totals.skipped + " | " + totals.duration + " |",
+            "",
+            "| Outcome | Type | Folder | Request | Name | Time (ms) | Message |",
+            "|---------|------|--------|---------|------|----------:|---------|"
+        ];
+
+        results.forEach(function(result) {
+            lines.push("| " + [
+                result.outcome,
+                result.type,
+                result.folder,
+                result.request,
+                result.name,
+                result.duration,
+                result.message
+            ].map(cell).join(" | ") + " |");
+        });
+
+        var text = lines.join("\n");
+
+        console.log(text);
+
+        return text;
+    }
+    // End of 'utils.report' functions.
+    },
+
+    // GENERAL-PURPOSE UTILITY FUNCTIONS
+    // The following are intended for public use (in test scripts).
+
+    // DESCRIPTION
+    // Called from the pre-request scripts to indicate
+    // the start of the pre-request script execution.
+    //
+    // PARAMETERS
+    // - name
+    //  Same as in the 'test.initialize' function.
+    //
+    // - suffix (string or integer)
+    //  Will be appended to the name (can be a number or a string).
+    //
+    // In the data-driven mode (see 'utils.test.data'), the name also
+    // includes the iteration number and row label.
+    name: function(pm, name, suffix) {
+        if (name === undefined || name === null || name === "") {
+            name = pm.info.requestName;
+        }
+
+        if (suffix !== undefined && suffix !== null) {
+            name = name + suffix;
+        }
+
+        var options = utils.testDataOptions(pm);
+
+        if (options !== null && pm.info.iteration !== undefined) {
+            var label     = pm.iterationData.get(options.columns.label);
+            var iteration = " [" + (pm.info.iteration + 1) +
+                ((label === undefined || label === null || label === "") ? "" : ": " + label) + "]";
+
+            // Names built by this function are passed to it again by the
+            // primary test functions, so do not repeat the iteration.
+            if (!String(name).endsWith(iteration)) {
+                name = name + iteration;
+            }
+        }
+
+        return name;
+    },
+
+    // DESCRIPTION
+    // Stops executing test collection.
+    //
+    // PARAMETERS
+    // - cleanup (boolean, optional, default=false)
+    //  Set to 'true' to delete the resources registered via
+    //  'utils.cleanup.add' before stopping (see 'utils.cleanup.run').
+    stop: function(pm, cleanup = false) {
+        if (cleanup === true) {
+            utils.cleanup.run(pm);
+        }
+
+        postman.setNextRequest(null);
+    },
+
+    // DESCRIPTION
+    // Skips execution to the specified test.
+    //
+    // PARAMETERS
+    // - name
+    //  Name of the test case in the running collection which
+    //  will be executed next.
+    skip: function(pm, name) {
+        postman.setNextRequest(name)
+    },
+
+    // DESCRIPTION
+    // Waits/sleeps for the specified number of seconds (or milliseconds).
+    // The wait does not block the script: the code following the call is
+    // executed immediately, but the script (and the collection run) does
+    // not end until the timeout expires, so the next request is sent after
+    // the delay. Put the code that must run after the delay in the
+    // callback function.
+    //
+    // PARAMETERS
+    // - timeout (positive integer)
+    //  Sleep/wait time in seconds (default) or milliseconds.
+    //
+    // - seconds (boolean)
+    //  Indicates whether timeout is specified in seconds (default or
+    //  if the value is true) or milliseconds (if the value is false).
+    //
+    // - callback (function, optional)
+    //  Function that will be called after the timeout.
+    wait: function(pm, timeout, seconds = true, callback) {
+
+        if (seconds) {
+            timeout *= 1000;
+        }
+
+        if (callback === undefined ||
+            callback === null ||
+            (typeof callback !== 'function')) {
+            callback = function() {};
+        }
+
+        setTimeout(callback, timeout);
+    },
+
+    // PRIVATE FUNCTIONS
+    // The following functions are intended for private use only (within this library).
+
+    // DESCRIPTION
+    // Called from a primary test script to indicate
+    // the start of the script execution.
+    //
+    // PARAMETERS
+    // - name
+    //  Same as in the 'test.initialize' function.
+    prologue: function(pm, name) {
+        if (name === undefined || name === null || name === "") {
+            name = pm.info.requestName;
+        }
+        //console.info("TEST: " + name);
+        utils.trace.log(pm, name + ": Test started", "info", "test");
+    },
+
+    // DESCRIPTION
+    // Called from a primary test script to indicate
+    // the start of the script execution.
+    //
+    // PARAMETERS
+    // - name
+    //  Same as in the 'test.initialize' function.
+    epilogue: function(pm, name) {
+        if (name === undefined || name === null || name === "") {
+            name = pm.info.requestName;
+        }
+        //console.info("DONE: " + name);
+        utils.trace.log(pm, name + ": Test ended", "debug", "test");
+    },
+
+    // DESCRIPTION
+    // Converts tags to an array of non-empty strings.
+    //
+    // PARAMETERS
+    // - tags (array or string)
+    //  Array of tags or a string with tags separated by commas (or
+    //  spaces).
+    tagList: function(pm, tags) {
+        if (tags === undefined || tags === null) {
+            return [];
+        }
+
+        if (!Array.isArray(tags)) {
+            tags = String(tags).split(/[\s,]+/);
+        }
+
+        return tags.map(function(tag) {
+            return String(tag).trim();
+        }).filter(function(tag) {
+            return tag !== "";
+        });
+    },
+
+    // DESCRIPTION
+    // Returns the terms of the tag expression (lower case) or an empty
+    // array if the expression is not set.
+    tagTerms: function(pm) {
+        var expression = pm.variables.get(utils.tags.variableName);
+
+        if (expression === undefined || expression === null) {
+            return [];
+        }
+
+        return String(expression).toLowerCase().split(/[\s,]+/).filter(function(term) {
+            return term !== "";
+        });
+    },
+
+    // DESCRIPTION
+    // Returns true if any of the tags is excluded by the tag expression
+    // (then no other tags can select the test).
+    //
+    // PARAMETERS
+    // - tags (array or string)
+    //  Tags of the test (or script).
+    tagExcluded: function(pm, tags) {
+        tags = utils.tagList(pm, tags).map(function(tag) {
+            return tag.toLowerCase();
+        });
+
+        return utils.tagTerms(pm).filter(function(term) {
+            return /^[!-]/.test(term);
+        }).some(function(term) {
+            return tags.indexOf(term.substring(1)) >= 0;
+        });
+    },
+
+    // DESCRIPTION
+    // Returns the tags of the test combined with the tags passed to
+    // 'utils.run.always' for the current request.
+    //
+    // PARAMETERS
+    // - tags (array or string)
+    //  Tags of the test.
+    tagged: function(pm, tags) {
+        var result = [];
+        var local  = pm.variables.get(utils.tags.localVariableName);
+
+        if (local !== undefined && local !== null && local !== "") {
+            try {
+                result = JSON.parse(local);
+            } catch (e) {
+                result = [];
+            }
+        }
+
+        utils.tagList(pm, tags).forEach(function(tag) {
+            if (result.indexOf(tag) < 0) {
+                result.push(tag);
+            }
+        });
+
+        return result;
+    },
+
+    // DESCRIPTION
+    // Reports the test (or script) that was not selected by tags as
+    // skipped.
+    //
+    // PARAMETERS
+    // - type (string)
+    //  Type of the result: 'Test', 'Script', or 'Pre-request'.
+    //
+    // - name
+    //  Same as in the 'test.initialize' function.
+    //
+    // - tags (array)
+    //  Tags of the test (or script).
+    //
+    // - request (boolean, optional, default=false)
+    //  Set to true to skip the current request when called from
+    //  a pre-request script.
+    tagSkip: function(pm, type, name, tags, request = false) {
+        var message = "Not selected by tags" + ((tags.length > 0) ? " (" + tags.join(", ") + ")" : "");
+
+        utils.trace.log(pm, name + ": " + type + " skipped: " + message, "info", "tags");
+
+        if (type === "Test") {
+            pm.test.skip(name, function() {});
+        }
+
+        // Save skipped result for the run report.
+        utils.reportRecord(pm, type, name, message, null, "skipped");
+
+        // Skip the request (only newer Postman versions support this).
+        if (request && pm.info.eventName === "prerequest" &&
+            pm.execution !== undefined && pm.execution !== null &&
+            typeof pm.execution.skipRequest === 'function') {
+            pm.execution.skipRequest();
+        }
+    },
+
+    // DESCRIPTION
+    // Returns the data-driven mode options or null if the mode is off.
+    testDataOptions: function(pm) {
+        var options = pm.collectionVariables.get(utils.test.data.variableName);
+
+        if (options === undefined || options === null || options === "") {
+            return null;
+        }
+
+        try {
+            options = JSON.parse(options);
+        } catch (e) {
+            console.warn("Invalid data-driven mode options: " + e.message);
+            return null;
+        }
+
+        Object.keys(utils.test.data.columns).forEach(function(key) {
+            if (options.columns[key] === undefined || options.columns[key] === null) {
+                options.columns[key] = utils.test.data.columns[key];
+            }
+        });
+
+        return options;
+    },
+
+    // DESCRIPTION
+    // Returns the expectations read from the iteration data row or null
+    // if the data-driven mode is off. The returned object holds the
+    // following properties:
+    //
+    // - status: expected HTTP status (or null),
+    // - serviceCode: expected service code (or null),
+    // - properties: object mapping property paths to expected values,
+    // - negative: true if the row expects an error, false if it expects
+    //   success, or null if it does not tell.
+    testData: function(pm) {
+        var options = utils.testDataOptions(pm);
+
+        if (options === null) {
+            return null;
+        }
+
+        var empty = function(value) {
+            return value === undefined || value === null || value === "";
+        };
+
+        var row    = pm.iterationData.toObject();
+        var status = utils.testStatus(pm, row[options.columns.status]);
+        var code   = empty(row[options.columns.serviceCode]) ? null : row[options.columns.serviceCode];
+        var result = {
+            status: status,
+            serviceCode: code,
+            properties: {},
+            negative: (code !== null) ? true : null
+        };
+
+        Object.keys(row).forEach(function(column) {
+            if (options.columns.prefix !== "" &&
+                column.indexOf(options.columns.prefix) === 0 &&
+                column.length > options.columns.prefix.length &&
+                !empty(row[column])) {
+                result.properties[column.substring(options.columns.prefix.length)] = row[column];
+            }
+        });
+
+        if (status !== null && code === null) {
+            // The row expects an error unless the status allows any
+            // informational, success, or redirection code. Invalid status
+            // is reported by the positive test.
+            try {
+                result.negative = true;
+
+                for (var i = 100; i < 400 && result.negative; i++) {
+                    result.negative = !utils.statusMatch(pm, status, i);
+                }
+            } catch (e) {
+                result.negative = false;
+            }
+        }
+
+        return result;
+    },
+
+    // DESCRIPTION
+    // Converts the expected HTTP status read from the iteration data to
+    // the format accepted by the 'test.positive' function (returns null
+    // if the status is not specified).
+    //
+    // PARAMETERS
+    // - value (string, number, array, or object)
+    //  Iteration data value: status code, class, or range, JSON text, or
+    //  list of codes and classes separated by commas (or vertical bars).
+    testStatus: function(pm, value) {
+        if (value === undefined || value === null) {
+            return null;
+        }
+
+        if (typeof value !== 'string') {
+            return value;
+        }
+
+        value = value.trim();
+
+        if (value === "") {
+            return null;
+        }
+
+        if (/^[\[{]/.test(value)) {
+            try {
+                return JSON.parse(value);
+            } catch (e) {
+                return value;
+            }
+        }
+
+        var items = value.split(/\s*[,|]\s*/).map(function(item) {
+            return /^\d+$/.test(item) ? Number(item) : item;
+        });
+
+        return (items.length === 1) ? items[0] : items;
+    },
+
+    // DESCRIPTION
+    // Expects the JSON element returned in the response to hold the
+    // property values read from the iteration data. Expected strings
+    // also match non-string values with the same text (values read from
+    // CSV files are always strings), e.g. '42' matches 42 and 'true'
+    // matches true.
+    //
+    // PARAMETERS
+    // - properties (object)
+    //  Object mapping property paths to expected values.
+    testProperties: function(pm, properties) {
+        var names = Object.keys(properties);
+
+        if (names.length === 0) {
+            return;
+        }
+
+        var data = null;
+
+        try {
+            data = pm.response.json();
+        } catch (e) {
+            pm.expect.fail("Response must return a valid JSON object: " + e.message);
+        }
+
+        names.forEach(function(name) {
+            var actual   = utils.propertyValue(pm, data, name);
+            var expected = properties[name];
+
+            var matches = utils.jsonEqual(pm, actual, expected) ||
+                (typeof expected === 'string' && typeof actual !== 'string' &&
+                    JSON.stringify(actual) === expected);
+
+            if (!matches) {
+                pm.expect.fail("Expected '" + name + "' property to equal " +
+                    JSON.stringify(expected) + " but got " + JSON.stringify(actual));
+            }
+        });
+    },
+
+    // DESCRIPTION
+    // Converts named or numeric trace level to the rank of the level
+    // (returns NaN for invalid levels).
+    //
+    // PARAMETERS
+    // - level (string or integer)
+    //  Same as in the 'utils.trace.set.custom' function.
+    traceLevel: function(pm, level) {
+        if (level === undefined || level === null || level === "" || typeof level === 'boolean') {
+            return NaN;
+        }
+
+        if (typeof level === 'string' &&
+            Object.prototype.hasOwnProperty.call(utils.trace.levels, level.toLowerCase())) {
+            return utils.trace.levels[level.toLowerCase()];
+        }
+
+        var number = Number(level);
+
+        if (!Number.isInteger(number) || number < 0) {
+            return NaN;
+        }
+
+        // Numeric levels 1 and 2 (start and end of operations) predate
+        // named levels and match 'info' and 'debug'.
+        return (number === 0) ? 0 : number + utils.trace.levels.warn;
+    },
+
+    // DESCRIPTION
+    // Returns trace options object (format, buffering, namespace levels).
+    traceOptions: function(pm) {
+        var options = {
+            format: "text",
+            buffer: false,
+            namespaces: {}
+        };
+
+        var value = pm.collectionVariables.get(utils.trace.optionsVariableName);
+
+        if (value === undefined || value === null || value === "") {
+            return options;
+        }
+
+        try {
+            value = JSON.parse(value);
+        } catch (e) {
+            return options;
+        }
+
+        if (value.format === "json") {
+            options.format = "json";
+        }
+
+        options.buffer = (value.buffer === true);
+
+        if (value.namespaces !== null && typeof value.namespaces === 'object') {
+            options.namespaces = value.namespaces;
+        }
+
+        return options;
+    },
+
+    // DESCRIPTION
+    // Returns the number of iterations of the current run (or null if
+    // the number is not available).
+    runIterations: function(pm) {
+        return (typeof pm.info.iterationCount === 'number') ? pm.info.iterationCount : null;
+    },
+
+    // DESCRIPTION
+    // Returns the iteration number and the fingerprint of the current
+    // iteration data row (used to detect a change of the data file).
+    runData: function(pm) {
+        var text = "";
+
+        try {
+            text = JSON.stringify(pm.iterationData.toObject());
+        } catch (e) {
+            text = "";
+        }
+
+        // FNV-1a hash.
+        var hash = 0x811C9DC5;
+
+        for (var i = 0; i < text.length; i++) {
+            hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+        }
+
+        return { iteration: pm.info.iteration || 0, hash: (hash >>> 0).toString(16) };
+    },
+
+    // DESCRIPTION
+    // Returns the stored identity of the test collection run (or null
+    // if it does not exist) without starting or updating the run.
+    runStored: function(pm) {
+        var value = pm.collectionVariables.get(utils.run.variableName);
+        var run   = null;
+
+        if (value !== undefined && value !== null && value !== "") {
+            try {
+                run = JSON.parse(value);
+            } catch (e) {
+                run = null;
+            }
+        }
+
+        if (run === null || typeof run !== 'object' || !run.id || typeof run.started !== 'number' ||
+            typeof run.updated !== 'number' || typeof run.iteration !== 'number') {
+            return null;
+        }
+
+        return run;
+    },
+
+    // DESCRIPTION
+    // Returns the identity of the current test collection run (starts
+    // a new run if the previous run has ended; see 'utils.run.start').
+    runState: function(pm) {
+        var run        = utils.runStored(pm);
+        var iteration  = pm.info.iteration || 0;
+        var iterations = utils.runIterations(pm);
+        var now        = Date.now();
+
+        if (run === null) {
+            return utils.run.start(pm);
+        }
+
+        var data = (run.data && run.data.iteration === iteration) ? utils.runData(pm) : null;
+
+        // Detect the start of the next run.
+        if (iteration < run.iteration ||
+            (iterations !== null && run.iterations !== undefined &&
+                run.iterations !== null && iterations !== run.iterations) ||
+            (data !== null && data.hash !== run.data.hash) ||
+            now - run.updated > utils.run.timeout) {
+            return utils.run.start(pm);
+        }
+
+        // Save activity (at most once a minute in the same iteration).
+        if (iteration !== run.iteration || now - run.updated > 60000) {
+            run.iteration = iteration;
+            run.updated   = now;
+
+            pm.collectionVariables.set(utils.run.variableName, JSON.stringify(run));
+        }
+
+        return run;
+    },
+
+    // DESCRIPTION
+    // Returns the 'utils.run.once' guards of the current run (the guards
+    // of the previous runs are discarded).
+    runGuards: function(pm) {
+        var run    = utils.runState(pm);
+        var value  = utils.variableScope(pm, utils.run.scope).get(utils.run.onceVariableName);
+        var guards = null;
+
+        if (value !== undefined && value !== null && value !== "") {
+            try {
+                guards = JSON.parse(value);
+            } catch (e) {
+                guards = null;
+            }
+        }
+
+        if (guards === null || guards.run !== run.id || !Array.isArray(guards.done)) {
+            guards = { run: run.id, done: [] };
+        }
+
+        return guards;
+    },
+
+    // DESCRIPTION
+    // Returns redaction rules added via 'utils.redact.add'.
+    redactOptions: function(pm) {
+        var options = {
+            headers: [],
+            properties: [],
+            patterns: []
+        };
+
+        var value = pm.collectionVariables.get(utils.redact.variableName);
+
+        if (value === undefined || value === null || value === "") {
+            return options;
+        }
+
+        try {
+            value = JSON.parse(value);
+        } catch (e) {
+            return options;
+        }
+
+        ["headers", "properties", "patterns"].forEach(function(key) {
+            if (Array.isArray(value[key])) {
+                options[key] = value[key];
+            }
+        });
+
+        return options;
+    },
+
+    // DESCRIPTION
+    // Returns compiled redaction rules: lower case names of the redacted
+    // headers and properties ('names'), regular expressions masking
+    // header lines ('header'), JSON properties ('json'), URL-encoded
+    // parameters ('parameter'), and the global 'patterns'. The rules are
+    // compiled once and reused until the rules change.
+    redactRules: function(pm) {
+        var value = pm.collectionVariables.get(utils.redact.variableName);
+        var key   = JSON.stringify([
+            utils.redact.headers,
+            utils.redact.properties,
+            utils.redact.patterns.map(String),
+            (value === undefined || value === null) ? "" : String(value)
+        ]);
+
+        if (utils.redact.compiled !== null && utils.redact.compiled.key === key) {
+            return utils.redact.compiled;
+        }
+
+        var options = utils.redactOptions(pm);
+
+        var escape = function(name) {
+            return utils.regexEscape(pm, String(name));
+        };
+
+        var headers    = utils.redact.headers.concat(options.headers);
+        var properties = utils.redact.properties.concat(options.properties);
+        var keys       = properties.concat(headers).map(escape);
+
+        var patterns = utils.redact.patterns.concat(options.patterns.map(function(pattern) {
+            return new RegExp(pattern.source, pattern.flags);
+        })).map(function(pattern) {
+            // Patterns must be global to mask every match.
+            return pattern.global ? pattern : new RegExp(pattern.source, pattern.flags + "g");
+        });
+
+        utils.redact.compiled = {
+            key: key,
+            names: properties.concat(headers).map(function(name) {
+                return String(name).toLowerCase();
+            }),
+            header: (headers.length === 0) ? null :
+                new RegExp("((?:^|[\\r\\n])[ \\t]*)(" + headers.map(escape).join("|") +
+                    ")([ \\t]*:[ \\t]*)[^\\r\\n]*", "gi"),
+            json: (keys.length === 0) ? null :
+                new RegExp("(\"(?:" + keys.join("|") +
+                    ")\"\\s*:\\s*)(\"(?:[^\"\\\\]|\\\\.)*\"|-?\\d[\\d.eE+\\-]*|true|false)", "gi"),
+            parameter: (keys.length === 0) ? null :
+                new RegExp("(^|[?&;\\s])((?:" + keys.join("|") + ")=)[^&;\\s\"']*", "gi"),
+            patterns: patterns
+        };
+
+        return utils.redact.compiled;
+    },
+
+    // DESCRIPTION
+    // Returns the value text to be printed with the secrets masked: the
+    // whole value is masked if any of the names (or any segment of the
+    // property path) is on the list of the redacted properties or headers.
+    //
+    // PARAMETERS
+    // - value (object)
+    //  Value (objects are converted to JSON).
+    //
+    // - names (array)
+    //  Names of the variables, properties, headers, or cookies holding
+    //  the value (undefined or null items are ignored).
+    redactValue: function(pm, value, names) {
+        var listed = utils.redactRules(pm).names;
+
+        var secret = names.some(function(name) {
+            return name !== undefined && name !== null &&
+                String(name).toLowerCase().split(/[.\[\]'"]+/).some(function(segment) {
+                    return segment !== "" && listed.indexOf(segment) >= 0;
+                });
+        });
+
+        return secret ? utils.redact.mask : utils.redact.text(pm, value);
+    },
+
+    // DESCRIPTION
+    // Returns a random number in the [0, 1) range. If the generator has
+    // been seeded via 'utils.data.seed', the number is produced by the
+    // seeded (Mulberry32) generator which state is kept in the collection
+    // variable; otherwise, 'Math.random' is used.
+    dataRandom: function(pm) {
+        var state = pm.collectionVariables.get(utils.data.seedVariableName);
+
+        if (state === undefined || state === null || state === "" || isNaN(Number(state))) {
+            return Math.random();
+        }
+
+        state = (Number(state) + 0x6D2B79F5) | 0;
+
+        pm.collectionVariables.set(utils.data.seedVariableName, state);
+
+        var t = Math.imul(state ^ (state >>> 15), 1 | state);
+
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    },
+
+    // DESCRIPTION
+    // Returns diagnostics options (defaults merged with the options set
+    // via 'utils.diagnostics.set').
+    diagnosticsOptions: function(pm) {
+        var options = {};
+
+        Object.keys(utils.diagnostics.defaults).forEach(function(key) {
+            options[key] = utils.diagnostics.defaults[key];
+        });
+
+        var value = pm.collectionVariables.get(utils.diagnostics.variableName);
+
+        if (value === undefined || value === null || value === "") {
+            return options;
+        }
+
+        try {
+            value = JSON.parse(value);
+        } catch (e) {
+            return options;
+        }
+
+        Object.keys(options).forEach(function(key) {
+            if (value[key] !== undefined) {
+                options[key] = value[key];
+            }
+        });
+
+        return options;
+    },
+
+    // DESCRIPTION
+    // Adds selected headers to the diagnostics lines.
+    //
+    // PARAMETERS
+    // - lines (array)
+    //  Diagnostics lines.
+    //
+    // - title (string)
+    //  Title of the header section.
+    //
+    // - headers (object)
+    //  Request or response headers.
+    //
+    // - names (array)
+    //  Names of the headers to include ('*' includes all headers).
+    diagnosticsHeaders: function(pm, lines, title, headers, names) {
+        if (!headers || typeof headers.all !== 'function' || !Array.isArray(names) || names.length === 0) {
+            return;
+        }
+
+        var all = names.indexOf("*") >= 0;
+
+        names = names.map(function(name) {
+            return String(name).toLowerCase();
+        });
+
+        var selected = headers.all().filter(function(header) {
+            return header && !header.disabled &&
+                (all || names.indexOf(String(header.key).toLowerCase()) >= 0);
+        });
+
+        if (selected.length === 0) {
+            return;
+        }
+
+        lines.push(title + ":");
+
+        selected.forEach(function(header) {
+            lines.push("  " + header.key + ": " + utils.redactValue(pm, header.value, [header.key]));
+        });
+    },
+
+    // DESCRIPTION
+    // Adds truncated (and, for JSON, indented) body to the diagnostics lines.
+    //
+    // PARAMETERS
+    // - lines (array)
+    //  Diagnostics lines.
+    //
+    // - title (string)
+    //  Title of the body section.
+    //
+    // - text (string)
+    //  Body text.
+    //
+    // - max (integer)
+    //  Maximum number of characters to include (0 omits the body;
+    //  -1 includes the whole body).
+    //
+    // - pretty (boolean)
+    //  Set to 'true' to indent JSON body.
+    diagnosticsBody: function(pm, lines, title, text, max, pretty) {
+        if (max === 0 || text === undefined || text === null || text === "") {
+            return;
+        }
+
+        if (pretty) {
+            try {
+                text = JSON.stringify(JSON.parse(text), null, 2);
+            } catch (e) {
+            }
+        }
+
+        var length = text.length;
+
+        if (max > 0 && length > max) {
+            text = text.substring(0, max) + "... (" + (length - max) + " more characters)";
+        }
+
+        lines.push(title + ":");
+
+        text.split(/\r?\n/).forEach(function(line) {
+            lines.push("  " + line);
+        });
+    },
+
+    // DESCRIPTION
+    // Escapes special characters of the regular expression.
+    //
+    // PARAMETERS
+    // - text (string)
+    //  Text to escape.
+    regexEscape: function(pm, text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    },
+
+    // DESCRIPTION
+    // Generates a random (version 4) UUID.
+    //
+    // PARAMETERS
+    // - random (function, optional)
+    //  Function returning random numbers in the [0, 1) range
+    //  (default: 'Math.random').
+    dataUuid: function(pm, random) {
+        if (random === undefined || random === null) {
+            random = Math.random;
+        }
+
+        return "xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx".replace(/[xy]/g, function(c) {
+            var r = Math.floor(random() * 16);
+
+            return (c === "x" ? r : (r & 0x3 | 0x8)).toString(16);
+        });
+    },
+
+    // DESCRIPTION
+    // Splits property path into an array of keys. The path can use
+    // dots to separate names of nested properties and brackets to
+    // reference array items or keys that contain special characters,
+    // e.g. 'order.customer.address[0].zip' or 'headers["content-type"]'.
+    // To use a dot, a bracket, or a backslash as a part of the key name
+    // outside of the brackets, escape it with a backslash, e.g. 'a\.b' ("a\\.b" in code).
+    //
+    // PARAMETERS
+    // - name (string or integer)
+    //  Property name or path.
+    propertyPath: function(pm, name) {
+        if (typeof name === 'number') {
+            return [name];
+        }
+
+        name = String(name);
+
+        var keys    = [];
+        var key     = "";
+        var pending = false;
+        var i       = 0;
+
+        while (i < name.length) {
+            var c = name[i];
+
+            if (c === "\\" && i + 1 < name.length) {
+                key    += name[i + 1];
+                pending = true;
+                i      += 2;
+            } else if (c === ".") {
+                if (pending) {
+                    keys.push(key);
+                }
+                key     = "";
+                pending = false;
+                i++;
+            } else if (c === "[") {
+                if (pending) {
+                    keys.push(key);
+                }
+                key     = "";
+                pending = false;
+
+                var quote = name[i + 1];
+                var end;
+
+                if (quote === "'" || quote === '"') {
+                    // Quoted key: read everything up to the matching quote.
+                    var quoted = "";
+
+                    end = i + 2;
+
+                    while (end < name.length && name[end] !== quote) {
+                        if (name[end] === "\\" && end + 1 < name.length) {
+                            end++;
+                        }
+                        quoted += name[end++];
+                    }
+
+                    if (name[end + 1] !== "]") {
+                        throw new Error("Invalid property path '" + name +
+                            "': missing closing quote or bracket at position " + i);
+                    }
+
+                    keys.push(quoted);
+                    i = end + 2;
+                } else {
+                    end = name.indexOf("]", i);
+
+                    if (end < 0) {
+                        throw new Error("Invalid property path '" + name +
+                            "': missing closing bracket at position " + i);
+                    }
+
+                    var index = name.substring(i + 1, end).trim();
+
+                    keys.push(/^\d+$/.test(index) ? Number(index) : index);
+                    i = end + 1;
+                }
+            } else {
+                key    += c;
+                pending = true;
+                i++;
+            }
+        }
+
+        if (pending) {
+            keys.push(key);
+        }
+
+        return keys;
+    },
+
+    // DESCRIPTION
+    // Converts an array of keys back into a property path string
+    // (opposite of 'utils.propertyPath').
+    //
+    // PARAMETERS
+    // - keys (array)
+    //  Property keys (strings or integer indexes).
+    propertyJoin: function(pm, keys) {
+        var path = "";
+
+        for (var i = 0; i < keys.length; i++) {
+            var key = keys[i];
+
+            if (typeof key === 'number') {
+                path += "[" + key + "]";
+            } else if (/^[^.\[\]\\'"]+$/.test(key)) {
+                path += (path === "" ? "" : ".") + key;
+            } else {
+                path += "[" + JSON.stringify(key) + "]";
+            }
+        }
+
+        return path;
+    },
+
+    // DESCRIPTION
+    // Walks the data object along the property path and returns the
+    // resolution result object holding the following properties:
+    //
+    // - path: full property path,
+    // - exists: true if the property was found,
+    // - value: property value (if the property was found),
+    // - resolved: part of the path that was successfully resolved,
+    // - error: explanation of why resolution failed (if it did).
+    //
+    // PARAMETERS
+    // - data (object)
+    //  Data object which property is being resolved.
+    //
+    // - name (string or integer)
+    //  Property name or path (see 'utils.propertyPath').
+    propertyResolve: function(pm, data, name) {
+        var keys    = utils.propertyPath(pm, name);
+        var path    = utils.propertyJoin(pm, keys);
+        var current = data;
+
+        for (var i = 0; i < keys.length; i++) {
+            var resolved = utils.propertyJoin(pm, keys.slice(0, i));
+            var parent   = (resolved === "") ? "data object" : "'" + resolved + "'";
+            var error    = null;
+
+            if (current === undefined || current === null) {
+                error = parent + " is " + current;
+            } else if (typeof current !== 'object') {
+                error = parent + " is not an object (" + typeof current + ")";
+            } else if (!(keys[i] in current)) {
+                error = parent + " does not have property '" +
+                    utils.propertyJoin(pm, [keys[i]]) + "'";
+            }
+
+            if (error !== null) {
+                return {
+                    path: path,
+                    exists: false,
+                    value: undefined,
+                    resolved: resolved,
+                    error: error
+                };
+            }
+
+            current = current[keys[i]];
+        }
+
+        return {
+            path: path,
+            exists: true,
+            value: current,
+            resolved: path,
+            error: null
+        };
+    },
+
+    // DESCRIPTION
+    // Fails test if the property identified by the path does not exist
+    // in the data object; otherwise, returns the property value.
+    //
+    // PARAMETERS
+    // - data
+    //  Same as in the 'utils.propertyResolve' function.
+    //
+    // - name
+    //  Same as in the 'utils.propertyResolve' function.
+    propertyValue: function(pm, data, name) {
+        var result = utils.propertyResolve(pm, data, name);
+
+        if (!result.exists) {
+            pm.expect.fail("Expected '" + result.path +
+                "' property to exist but " + result.error);
+        }
+
+        return result.value;
+    },
+
+    // DESCRIPTION
+    // Format validators used by JSON schema validation (the 'format'
+    // keyword). Each validator returns true if the string value is valid.
+    //
+    // PARAMETERS
+    // - value (string)
+    //  Value being validated.
+    formats: {
+        "date-time": function(pm, value) {
+            return /^\d{4}-\d{2}-\d{2}[Tt ]\d{2}:\d{2}:\d{2}(\.\d+)?([Zz]|[+-]\d{2}:\d{2})$/.test(value) &&
+                !isNaN(Date.parse(value));
+        },
+        "date": function(pm, value) {
+            return /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value));
+        },
+        "time": function(pm, value) {
+            return /^\d{2}:\d{2}:\d{2}(\.\d+)?([Zz]|[+-]\d{2}:\d{2})?$/.test(value);
+        },
+        "email": function(pm, value) {
+            return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value);
+        },
+        "uri": function(pm, value) {
+            return /^[A-Za-z][A-Za-z0-9+.-]*:[^\s]*$/.test(value);
+        },
+        "uri-reference": function(pm, value) {
+            return /^[^\s]*$/.test(value);
+        },
+        "uuid": function(pm, value) {
+            return /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value);
+        },
+        "ipv4": function(pm, value) {
+            return /^(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)(\.(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)){3}$/.test(value);
+        },
+        "ipv6": function(pm, value) {
+            if (!/^[0-9A-Fa-f:.]+$/.test(value) || (value.match(/::/g) || []).length > 1) {
+                return false;
+            }
+
+            var groups = value.split(":");
+            var last   = groups[groups.length - 1];
+            var max    = 8;
+
+            // Allow IPv4-mapped tail, e.g. '::ffff:192.168.0.1'.
+            if (last.includes(".")) {
+                if (!utils.formats.ipv4(pm, last)) {
+                    return false;
+                }
+                groups.pop();
+                max = 6;
+            }
+
+            var compressed = value.includes("::");
+            var filled     = groups.filter(function(group) { return group !== ""; });
+
+            if (!filled.every(function(group) { return /^[0-9A-Fa-f]{1,4}$/.test(group); })) {
+                return false;
+            }
+
+            return compressed ? filled.length < max : filled.length === max;
+        },
+        "hostname": function(pm, value) {
+            return value.length <= 253 &&
+                /^[A-Za-z0-9]([A-Za-z0-9-]{0,61}[A-Za-z0-9])?(\.[A-Za-z0-9]([A-Za-z0-9-]{0,61}[A-Za-z0-9])?)*$/.test(value);
+        },
+        "base64": function(pm, value) {
+            return /^(?:[A-Za-z0-9+\/]{4})*(?:[A-Za-z0-9+\/]{2}==|[A-Za-z0-9+\/]{3}=)?$/.test(value);
+        },
+        "semver": function(pm, value) {
+            return /^(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)(?:-((?:0|[1-9]\d*|\d*[a-zA-Z-][0-9a-zA-Z-]*)(?:\.(?:0|[1-9]\d*|\d*[a-zA-Z-][0-9a-zA-Z-]*))*))?(?:\+([0-9a-zA-Z-]+(?:\.[0-9a-zA-Z-]+)*))?$/.test(value);
+        }
+    },
+
+    // DESCRIPTION
+    // Performs deep comparison of two JSON values and returns true if
+    // they are equal (order of object keys does not matter, order of
+    // array items does).
+    //
+    // PARAMETERS
+    // - a (object)
+    //  First value.
+    //
+    // - b (object)
+    //  Second value.
+    jsonEqual: function(pm, a, b) {
+        if (a === b) {
+            return true;
+        }
+
+        if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object') {
+            return false;
+        }
+
+        if (Array.isArray(a) !== Array.isArray(b)) {
+            return false;
+        }
+
+        var keysA = Object.keys(a);
+        var keysB = Object.keys(b);
+
+        if (keysA.length !== keysB.length) {
+            return false;
+        }
+
+        return keysA.every(function(key) {
+            return Object.prototype.hasOwnProperty.call(b, key) && utils.jsonEqual(pm, a[key], b[key]);
+        });
+    },
+
+    // DESCRIPTION
+    // Fails test if the property identified by the path does not exist
+    // or holds a value that is neither a string nor null; otherwise,
+    // returns the property value.
+    //
+    // PARAMETERS
+    // - data
+    //  Same as in the 'utils.propertyResolve' function.
+    //
+    // - name
+    //  Same as in the 'utils.propertyResolve' function.
+    propertyString: function(pm, data, name) {
+        var value = utils.propertyValue(pm, data, name);
+
+        if (value !== null && typeof value !== 'string') {
+            pm.expect.fail("Expected '" + name +
+                "' property to be a string but got '" +
+                utils.typeOf(pm, value) + "'");
+        }
+
+        return value;
+    },
+
+    // DESCRIPTION
+    // Returns the JSON type of the value: 'string', 'number', 'boolean',
+    // 'array', 'object', 'null', or 'undefined' (or another JavaScript
+    // type).
+    //
+    // PARAMETERS
+    // - value (object)
+    //  Value being checked.
+    typeOf: function(pm, value) {
+        return Array.isArray(value) ? "array" : ((value === null) ? "null" : typeof value);
+    },
+
+    // DESCRIPTION
+    // Returns the array of valid type names (throws an error if any
+    // type name is invalid).
+    //
+    // PARAMETERS
+    // - type (string or array)
+    //  Same as in 'utils.expect.property.type'.
+    typeNames: function(pm, type) {
+        var types = Array.isArray(type) ? type : [type];
+        var valid = ["string", "number", "integer", "boolean", "array", "object", "null"];
+
+        if (types.length === 0) {
+            throw new Error("Invalid type: expected at least one type name");
+        }
+
+        types.forEach(function(type) {
+            if (valid.indexOf(type) < 0) {
+                throw new Error("Invalid type '" + type + "': expected '" + valid.join("', '") + "'");
+            }
+        });
+
+        return types;
+    },
+
+    // DESCRIPTION
+    // Returns true if the value is of the specified type.
+    //
+    // PARAMETERS
+    // - value (object)
+    //  Value being checked.
+    //
+    // - type (string)
+    //  Type name (see 'utils.expect.property.type').
+    typeIs: function(pm, value, type) {
+        if (type === "integer") {
+            return Number.isInteger(value);
+        }
+
+        if (type === "number") {
+            return typeof value === 'number' && isFinite(value);
+        }
+
+        return utils.typeOf(pm, value) === type;
+    },
+
+    // DESCRIPTION
+    // Returns description of the format used in failure messages (throws
+    // an error if the format or the UUID version is invalid).
+    //
+    // PARAMETERS
+    // - format
+    //  Same as in 'utils.expect.property.format'.
+    //
+    // - version
+    //  Same as in 'utils.expect.property.format'.
+    formatName: function(pm, format, version) {
+        if (!Object.prototype.hasOwnProperty.call(utils.formats, format)) {
+            throw new Error("Invalid format '" + format + "': expected '" +
+                Object.keys(utils.formats).join("', '") + "'");
+        }
+
+        if (version === undefined || version === null) {
+            return "'" + format + "'";
+        }
+
+        if (format !== "uuid" || !Number.isInteger(version) || version < 1 || version > 8) {
+            throw new Error("Invalid version '" + version + "' of the '" + format +
+                "' format: only UUID versions 1-8 are supported");
+        }
+
+        return "'" + format + "' (version " + version + ")";
+    },
+
+    // DESCRIPTION
+    // Returns true if the string value is in the specified format.
+    //
+    // PARAMETERS
+    // - value (string)
+    //  Value being checked.
+    //
+    // - format
+    //  Same as in 'utils.expect.property.format'.
+    //
+    // - version
+    //  Same as in 'utils.expect.property.format'.
+    formatCheck: function(pm, value, format, version) {
+        if (!utils.formats[format](pm, value)) {
+            return false;
+        }
+
+        // UUID version is defined by the first digit of the third group.
+        return (version === undefined || version === null) || value.charAt(14) === String(version);
+    },
+
+    // DESCRIPTION
+    // Fails test if the property identified by the path does not exist
+    // or does not hold a number; otherwise, returns the property value.
+    //
+    // PARAMETERS
+    // - data
+    //  Same as in the 'utils.propertyResolve' function.
+    //
+    // - name
+    //  Same as in the 'utils.propertyResolve' function.
+    propertyNumber: function(pm, data, name) {
+        var value = utils.propertyValue(pm, data, name);
+
+        if (!utils.typeIs(pm, value, "number")) {
+            pm.expect.fail("Expected '" + name +
+                "' property to be a number but got '" +
+                utils.typeOf(pm, value) + "'");
+        }
+
+        return value;
+    },
+
+    // DESCRIPTION
+    // Converts the expected value passed to the 'utils.expect.property.number'
+    // functions to a number (throws an error if it is not numeric).
+    //
+    // PARAMETERS
+    // - value (number or string)
+    //  Expected value.
+    //
+    // - parameter (string)
+    //  Name of the parameter (used in the error message).
+    propertyNumeric: function(pm, value, parameter) {
+        var number = (typeof value === 'string' && value.trim() !== "") ? Number(value) : value;
+
+        if (typeof number !== 'number' || !isFinite(number)) {
+            throw new Error("Invalid " + parameter + " '" + value + "': expected a number");
+        }
+
+        return number;
+    },
+
+    // DESCRIPTION
+    // Returns the number of milliseconds since 1970-01-01T00:00:00Z
+    // represented by the date (or NaN if the date is invalid). Strings
+    // must be in the ISO 8601 format; time zone offsets are honored and
+    // values without offsets are treated as UTC.
+    //
+    // PARAMETERS
+    // - value (string, number, or Date)
+    //  Date.
+    dateTime: function(pm, value) {
+        if (value instanceof Date) {
+            return value.getTime();
+        }
+
+        if (typeof value === 'number') {
+            return isFinite(value) ? value : NaN;
+        }
+
+        if (typeof value !== 'string') {
+            return NaN;
+        }
+
+        var match = /^(\d{4})-(\d{2})-(\d{2})(?:[Tt ](\d{2}):(\d{2})(?::(\d{2})(?:[.,](\d+))?)?)?\s*([Zz]|([+-])(\d{2}):?(\d{2}))?$/.exec(value.trim());
+
+        if (match === null) {
+            return NaN;
+        }
+
+        var parts = match.slice(1, 7).map(function(part) {
+            return (part === undefined) ? 0 : Number(part);
+        });
+
+        var milliseconds = (match[7] === undefined) ? 0 :
+            Math.round(Number("0." + match[7]) * 1000);
+
+        var time = Date.UTC(parts[0], parts[1] - 1, parts[2], parts[3], parts[4], parts[5], milliseconds);
+        var date = new Date(time);
+
+        // Reject values like '2024-02-30' or '25:00'.
+        if (date.getUTCFullYear() !== parts[0] || date.getUTCMonth() !== parts[1] - 1 ||
+            date.getUTCDate() !== parts[2] || date.getUTCHours() !== parts[3] ||
+            date.getUTCMinutes() !== parts[4] || date.getUTCSeconds() !== parts[5]) {
+            return NaN;
+        }
+
+        if (match[9] !== undefined) {
+            var offset = (Number(match[10]) * 60 + Number(match[11])) * 60000;
+
+            time -= (match[9] === "+") ? offset : -offset;
+        }
+
+        return time;
+    },
+
+    // DESCRIPTION
+    // Fails test if the property identified by the path does not exist
+    // or does not hold a valid date; otherwise, returns an object holding
+    // the property value and time (in milliseconds).
+    //
+    // PARAMETERS
+    // - data
+    //  Same as in the 'utils.propertyResolve' function.
+    //
+    // - name
+    //  Same as in the 'utils.propertyResolve' function.
+    dateValue: function(pm, data, name) {
+        var value = utils.propertyValue(pm, data, name);
+        var time  = utils.dateTime(pm, value);
+
+        if (value instanceof Date || isNaN(time)) {
+            pm.expect.fail("Expected '" + name +
+                "' property to be an ISO 8601 date or a timestamp but got '" +
+                value + "'");
+        }
+
+        return {
+            value: value,
+            time: time
+        };
+    },
+
+    // DESCRIPTION
+    // Converts the date passed to the 'utils.expect.property.date'
+    // functions to an object holding the time (in milliseconds) and
+    // its description used in failure messages (throws an error if the
+    // date is invalid).
+    //
+    // PARAMETERS
+    // - data (object)
+    //  Data object holding the referenced property.
+    //
+    // - date (string, number, Date, or object)
+    //  Date, 'now', or object referencing another property.
+    dateArgument: function(pm, data, date) {
+        if (date === "now") {
+            var now = Date.now();
+
+            return {
+                time: now,
+                text: "now ('" + new Date(now).toISOString() + "')"
+            };
+        }
+
+        if (date !== null && typeof date === 'object' && !(date instanceof Date) && "property" in date) {
+            var value = utils.dateValue(pm, data, date.property);
+
+            return {
+                time: value.time,
+                text: "'" + date.property + "' ('" + value.value + "')"
+            };
+        }
+
+        var time = utils.dateTime(pm, date);
+
+        if (isNaN(time)) {
+            throw new Error("Invalid date '" + date + "': expected an ISO 8601 date, a timestamp, " +
+                "a Date object, 'now', or an object referencing a property");
+        }
+
+        return {
+            time: time,
+            text: "'" + ((date instanceof Date) ? date.toISOString() : date) + "'"
+        };
+    },
+
+    // DESCRIPTION
+    // Converts duration to milliseconds (throws an error if the duration
+    // is invalid).
+    //
+    // PARAMETERS
+    // - duration (number or string)
+    //  Same as in 'utils.expect.property.date.within'.
+    dateDuration: function(pm, duration) {
+        var units = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000 };
+        var match = null;
+
+        if (typeof duration === 'number' && isFinite(duration) && duration >= 0) {
+            return duration;
+        }
+
+        if (typeof duration === 'string') {
+            match = /^\s*(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)\s*$/i.exec(duration);
+
+            if (match !== null) {
+                return Number(match[1]) * units[match[2].toLowerCase()];
+            }
+
+            match = /^P(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/i.exec(duration.trim());
+
+            if (match !== null && duration.trim().length > 1 && !/T$/i.test(duration.trim())) {
+                return [units.d, units.h, units.m, units.s].reduce(function(total, unit, index) {
+                    return total + ((match[index + 1] === undefined) ? 0 : Number(match[index + 1]) * unit);
+                }, 0);
+            }
+        }
+
+        throw new Error("Invalid duration '" + duration + "': expected a number of milliseconds, " +
+            "a number followed by 'ms', 's', 'm', 'h', or 'd', or an ISO 8601 duration");
+    },
+
+    // DESCRIPTION
+    // Returns the array validated by the 'utils.expect.array' functions
+    // and its label used in failure messages.
+    //
+    // PARAMETERS
+    // - data
+    //  Same as in 'utils.expect.array'.
+    //
+    // - name
+    //  Same as in 'utils.expect.array'.
+    arrayItems: function(pm, data, name) {
+        var label = "array";
+
+        if (data === undefined || data === null) {
+            try {
+                data = pm.response.json();
+            } catch (e) {
+                pm.expect.fail("Response must return a valid JSON object: " + e.message);
+            }
+
+            label = "response";
+        }
+
+        var items = data;
+
+        if (name !== undefined && name !== null && name !== "") {
+            items = utils.propertyValue(pm, data, name);
+            label = utils.propertyJoin(pm, utils.propertyPath(pm, name));
+        }
+
+        if (!Array.isArray(items)) {
+            pm.expect.fail("Expected '" + label + "' to be an array but got " +
+                ((items === null) ? "null" : typeof items));
+        }
+
+        return {
+            items: items,
+            label: label
+        };
+    },
+
+    // DESCRIPTION
+    // Returns true if the value matches the partial object (properties
+    // not listed in the partial object are ignored).
+    //
+    // PARAMETERS
+    // - value (object)
+    //  Value being checked.
+    //
+    // - partial (object)
+    //  Partial object (or value).
+    arrayPartial: function(pm, value, partial) {
+        if (partial === null || typeof partial !== 'object' || Array.isArray(partial)) {
+            return utils.jsonEqual(pm, value, partial);
+        }
+
+        if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+            return false;
+        }
+
+        return Object.keys(partial).every(function(key) {
+            return (key in value) && utils.arrayPartial(pm, value[key], partial[key]);
+        });
+    },
+
+    // DESCRIPTION
+    // Returns the index of the first item matching the partial object
+    // or condition (or -1).
+    //
+    // PARAMETERS
+    // - items (array)
+    //  Array items.
+    //
+    // - partial
+    //  Same as in 'utils.expect.array.some'.
+    arrayMatch: function(pm, items, partial) {
+        for (var i = 0; i < items.length; i++) {
+            if (typeof partial === 'function') {
+                try {
+                    if (partial(items[i], i) === true) {
+                        return i;
+                    }
+                } catch (e) {
+                }
+            } else if (utils.arrayPartial(pm, items[i], partial)) {
+                return i;
+            }
+        }
+
+        return -1;
+    },
+
+    // DESCRIPTION
+    // Returns the index of the first item with the specified identifier
+    // (or -1).
+    //
+    // PARAMETERS
+    // - items (array)
+    //  Array items.
+    //
+    // - id
+    //  Same as in 'utils.expect.array.contains'.
+    //
+    // - key
+    //  Same as in 'utils.expect.array.contains'.
+    arrayFind: function(pm, items, id, key) {
+        for (var i = 0; i < items.length; i++) {
+            var value = items[i];
+
+            if (key !== undefined && key !== null && key !== "") {
+                var result = utils.propertyResolve(pm, items[i], key);
+
+                if (!result.exists) {
+                    continue;
+                }
+
+                value = result.value;
+            }
+
+            if (utils.jsonEqual(pm, value, id)) {
+                return i;
+            }
+        }
+
+        return -1;
+    },
+
+    // DESCRIPTION
+    // Compares two values and returns a negative number, zero, or
+    // a positive number if the first value is less than, equal to,
+    // or greater than the second (null and undefined values are the
+    // least).
+    //
+    // PARAMETERS
+    // - a (object)
+    //  First value.
+    //
+    // - b (object)
+    //  Second value.
+    //
+    // - type (string)
+    //  'string', 'number', 'date', or 'auto' (see
+    //  'utils.expect.array.sorted').
+    arrayCompare: function(pm, a, b, type) {
+        var empty = function(value) {
+            return value === undefined || value === null;
+        };
+
+        if (empty(a) || empty(b)) {
+            return (empty(a) ? 0 : 1) - (empty(b) ? 0 : 1);
+        }
+
+        if (type === "auto") {
+            type = (typeof a === 'number' && typeof b === 'number') ? "number" : "string";
+        }
+
+        if (type === "number" || type === "date") {
+            // Dates can also be represented by timestamps.
+            var x = (type === "date" && typeof a !== 'number') ? Date.parse(a) : Number(a);
+            var y = (type === "date" && typeof b !== 'number') ? Date.parse(b) : Number(b);
+
+            if (isNaN(x) || isNaN(y)) {
+                pm.expect.fail("Expected " + JSON.stringify(isNaN(x) ? a : b) +
+                    " to be a valid " + type);
+            }
+
+            return x - y;
+        }
+
+        a = String(a);
+        b = String(b);
+
+        return (a < b) ? -1 : ((a > b) ? 1 : 0);
+    },
+
+    // DESCRIPTION
+    // Returns copy of the data with object properties sorted by name
+    // and volatile values masked (see 'utils.expect.snapshot').
+    //
+    // PARAMETERS
+    // - value (object)
+    //  Data being normalized.
+    //
+    // - keys (array)
+    //  Path to the value (array of keys).
+    //
+    // - masks (array)
+    //  Paths to the masked properties (arrays of keys).
+    //
+    // - formats (array)
+    //  Names of the formats identifying masked values.
+    snapshotNormalize: function(pm, value, keys, masks, formats) {
+        var masked = masks.some(function(mask) {
+            return utils.snapshotMasked(pm, mask, keys);
+        }) || (typeof value === 'string' && formats.some(function(format) {
+            return utils.formats[format](pm, value);
+        }));
+
+        if (masked) {
+            return utils.expect.snapshotMask;
+        }
+
+        if (Array.isArray(value)) {
+            return value.map(function(item, index) {
+                return utils.snapshotNormalize(pm, item, keys.concat([index]), masks, formats);
+            });
+        }
+
+        if (value !== null && typeof value === 'object') {
+            var result = {};
+
+            Object.keys(value).sort().forEach(function(key) {
+                result[key] = utils.snapshotNormalize(pm, value[key], keys.concat([key]), masks, formats);
+            });
+
+            return result;
+        }
+
+        return value;
+    },
+
+    // DESCRIPTION
+    // Returns true if the path matches the mask ('*' matches any key;
+    // '**' matches any number of keys).
+    //
+    // PARAMETERS
+    // - mask (array)
+    //  Mask keys.
+    //
+    // - keys (array)
+    //  Path keys.
+    snapshotMasked: function(pm, mask, keys) {
+        if (mask.length === 0) {
+            return keys.length === 0;
+        }
+
+        if (mask[0] === "**") {
+            for (var i = 0; i <= keys.length; i++) {
+                if (utils.snapshotMasked(pm, mask.slice(1), keys.slice(i))) {
+                    return true;
+                }
+            }
+
+            return false;
+        }
+
+        if (keys.length === 0 || (mask[0] !== "*" && String(mask[0]) !== String(keys[0]))) {
+            return false;
+        }
+
+        return utils.snapshotMasked(pm, mask.slice(1), keys.slice(1));
+    },
+
+    // DESCRIPTION
+    // Adds differences between the expected and actual values to the list
+    // ('+ path: value' for added, '- path: value' for removed, and
+    // '~ path: expected -> actual' for changed elements).
+    //
+    // PARAMETERS
+    // - expected (object)
+    //  Expected (baseline) value.
+    //
+    // - actual (object)
+    //  Actual value.
+    //
+    // - keys (array)
+    //  Path to the values (array of keys).
+    //
+    // - changes (array)
+    //  List of differences.
+    snapshotDiff: function(pm, expected, actual, keys, changes) {
+        var path = (keys.length === 0) ? "(root)" : utils.propertyJoin(pm, keys);
+
+        var type = utils.typeOf(pm, expected);
+
+        if (type !== utils.typeOf(pm, actual) || (type !== "array" && type !== "object")) {
+            if (!utils.jsonEqual(pm, expected, actual)) {
+                changes.push("~ " + path + ": " + JSON.stringify(expected) + " -> " + JSON.stringify(actual));
+            }
+
+            return;
+        }
+
+        if (Array.isArray(expected)) {
+            for (var i = 0; i < Math.max(expected.length, actual.length); i++) {
+                if (i >= actual.length) {
+                    changes.push("- " + utils.propertyJoin(pm, keys.concat([i])) + ": " + JSON.stringify(expected[i]));
+                } else if (i >= expected.length) {
+                    changes.push("+ " + utils.propertyJoin(pm, keys.concat([i])) + ": " + JSON.stringify(actual[i]));
+                } else {
+                    utils.snapshotDiff(pm, expected[i], actual[i], keys.concat([i]), changes);
+                }
+            }
+
+            return;
+        }
+
+        Object.keys(expected).concat(Object.keys(actual).filter(function(key) {
+            return !(key in expected);
+        })).sort().forEach(function(key) {
+            if (!(key in actual)) {
+                changes.push("- " + utils.propertyJoin(pm, keys.concat([key])) + ": " + JSON.stringify(expected[key]));
+            } else if (!(key in expected)) {
+                changes.push("+ " + utils.propertyJoin(pm, keys.concat([key])) + ": " + JSON.stringify(actual[key]));
+            } else {
+                utils.snapshotDiff(pm, expected[key], actual[key], keys.concat([key]), changes);
+            }
+        });
+    },
+
+    // DESCRIPTION
+    // Returns the token validated by 'utils.expect.jwt' and its label
+    // used in failure messages.
+    //
+    // PARAMETERS
+    // - source
+    //  Same as in 'utils.expect.jwt'.
+    jwtToken: function(pm, source) {
+        var value = source;
+        var label = "token";
+
+        if (source !== null && typeof source === 'object') {
+            if (source.property !== undefined && source.property !== null) {
+                var data = source.data;
+
+                if (data === undefined || data === null) {
+                    try {
+                        data = pm.response.json();
+                    } catch (e) {
+                        pm.expect.fail("Response must return a valid JSON object: " + e.message);
+                    }
+                }
+
+                value = utils.propertyValue(pm, data, source.property);
+                label = "token in '" + source.property + "' property";
+            } else if (source.header !== undefined && source.header !== null) {
+                value = utils.headerValue(pm, source.header, true).replace(/^\s*Bearer\s+/i, "");
+                label = "token in '" + source.header + "' header";
+            } else if (source.variable !== undefined && source.variable !== null) {
+                value = pm.variables.get(source.variable);
+                label = "token in '" + source.variable + "' variable";
+
+                if (value === undefined) {
+                    pm.expect.fail("Expected variable '" + source.variable + "' to hold a token");
+                }
+            } else {
+                throw new Error("Invalid token source: expected an object with the " +
+                    "'property', 'header', or 'variable' property");
+            }
+        }
+
+        if (typeof value !== 'string' || value.trim() === "") {
+            pm.expect.fail("Expected " + label + " to be a non-empty string but got " +
+                JSON.stringify(value));
+        }
+
+        return { value: value.trim(), label: label };
+    },
+
+    // DESCRIPTION
+    // Decodes the JSON web token and returns the object holding the
+    // decoded 'header' and 'payload' and the 'signature' part.
+    //
+    // PARAMETERS
+    // - token (string)
+    //  JSON web token.
+    //
+    // - label (string)
+    //  Description of the token used in failure messages.
+    jwtDecode: function(pm, token, label) {
+        var parts = token.split(".");
+
+        if (parts.length !== 3) {
+            pm.expect.fail("Expected " + label + " to be a JWT with 3 parts but got " + parts.length);
+        }
+
+        var decode = function(part, name) {
+            if (!/^[A-Za-z0-9_\-]+$/.test(part)) {
+                pm.expect.fail("Expected " + label + " to have base64url-encoded " + name +
+                    " but got '" + part + "'");
+            }
+
+            var value = null;
+
+            try {
+                // Restore standard Base64 alphabet and padding.
+                var base64 = part.replace(/-/g, "+").replace(/_/g, "/");
+
+                while (base64.length % 4 !== 0) {
+                    base64 += "=";
+                }
+
+                value = JSON.parse(CryptoJS.enc.Base64.parse(base64).toString(CryptoJS.enc.Utf8));
+            } catch (e) {
+                pm.expect.fail("Expected " + label + " to have JSON " + name + " but " + e.message);
+            }
+
+            if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+                pm.expect.fail("Expected " + label + " to have JSON object " + name + " but got " +
+                    JSON.stringify(value));
+            }
+
+            return value;
+        };
+
+        return {
+            header: decode(parts[0], "header"),
+            payload: decode(parts[1], "payload"),
+            signature: parts[2]
+        };
+    },
+
+    // DESCRIPTION
+    // Returns the element of the JSON document identified by the
+    // JSON pointer (RFC 6901), such as '#/definitions/address'
+    // (returns undefined if the pointer cannot be resolved).
+    //
+    // PARAMETERS
+    // - document (object)
+    //  JSON document.
+    //
+    // - pointer (string)
+    //  JSON pointer (with or without leading '#').
+    schemaPointer: function(pm, document, pointer) {
+        pointer = decodeURIComponent(pointer.replace(/^#/, ""));
+
+        if (pointer === "") {
+            return document;
+        }
+
+        var tokens  = pointer.split("/").slice(1);
+        var current = document;
+
+        for (var i = 0; i < tokens.length; i++) {
+            var token = tokens[i].replace(/~1/g, "/").replace(/~0/g, "~");
+
+            if (current === undefined || current === null ||
+                typeof current !== 'object' || !(token in current)) {
+                return undefined;
+            }
+
+            current = current[token];
+        }
+
+        return current;
+    },
+
+    // DESCRIPTION
+    // Validates data against a JSON schema (draft-07 or 2020-12) and
+    // returns an array of violations (empty if data is valid). Each
+    // violation holds the JSON pointer of the invalid element and the
+    // error message. Unsupported keywords and formats are ignored.
+    //
+    // PARAMETERS
+    // - data (object)
+    //  Data being validated.
+    //
+    // - schema (object or boolean)
+    //  JSON schema.
+    //
+    // - root (object, optional)
+    //  Root schema used to resolve local '$ref' pointers (defaults to
+    //  the schema).
+    //
+    // - pointer (string, optional)
+    //  JSON pointer of data within the validated document.
+    schemaValidate: function(pm, data, schema, root, pointer) {
+        if (root === undefined || root === null) {
+            root = schema;
+        }
+
+        if (pointer === undefined || pointer === null) {
+            pointer = "";
+        }
+
+        var errors = [];
+
+        var fail = function(message) {
+            errors.push({ pointer: pointer, message: message });
+        };
+
+        var child = function(key) {
+            return pointer + "/" + String(key).replace(/~/g, "~0").replace(/\//g, "~1");
+        };
+
+        var nested = function(value, subschema, path) {
+            errors = errors.concat(utils.schemaValidate(pm, value, subschema, root, path));
+        };
+
+        var passes = function(subschema) {
+            return utils.schemaValidate(pm, data, subschema, root, pointer).length === 0;
+        };
+
+        // Schema patterns are ECMA-262 regular expressions, which may use
+        // escapes that are invalid in the Unicode mode (such as '\-'), so
+        // the Unicode mode is only used when the pattern allows it. Returns
+        // null (and reports the schema error) if the pattern is invalid.
+        var regex = function(pattern, keyword) {
+            try {
+                return new RegExp(pattern, "u");
+            } catch (e) {
+            }
+
+            try {
+                return new RegExp(pattern);
+            } catch (e) {
+                fail("schema has invalid '" + keyword + "' value '" + pattern + "': " + e.message);
+                return null;
+            }
+        };
+
+        if (schema === undefined || schema === null || schema === true) {
+            return errors;
+        }
+
+        if (schema === false) {
+            fail("value is not allowed");
+            return errors;
+        }
+
+        if (typeof schema.$ref === 'string') {
+            var target = utils.schemaPointer(pm, root, schema.$ref);
+
+            if (target === undefined) {
+                fail("cannot resolve schema reference '" + schema.$ref + "'");
+            } else {
+                nested(data, target, pointer);
+            }
+        }
+
+        var type = (data === null) ? "null" : (Array.isArray(data) ? "array" : typeof data);
+
+        if (schema.type !== undefined) {
+            var types = Array.isArray(schema.type) ? schema.type : [schema.type];
+
+            var match = types.some(function(t) {
+                return t === type ||
+                    (t === "integer" && type === "number" && Number.isInteger(data));
+            });
+
+            if (!match) {
+                fail("must be of type '" + types.join("' or '") + "' but got '" + type + "'");
+
+                // Other keywords are meaningless for a value of a wrong type.
+                return errors;
+            }
+        }
+
+        if (schema.enum !== undefined &&
+            !schema.enum.some(function(value) { return utils.jsonEqual(pm, value, data); })) {
+            fail("must be one of " + JSON.stringify(schema.enum) + " but got " + JSON.stringify(data));
+        }
+
+        if (schema.const !== undefined && !utils.jsonEqual(pm, schema.const, data)) {
+            fail("must be equal to " + JSON.stringify(schema.const) + " but got " + JSON.stringify(data));
+        }
+
+        if (type === "string") {
+            if (schema.minLength !== undefined && data.length < schema.minLength) {
+                fail("must have at least " + schema.minLength + " character(s)");
+            }
+
+            if (schema.maxLength !== undefined && data.length > schema.maxLength) {
+                fail("must have at most " + schema.maxLength + " character(s)");
+            }
+
+            if (schema.pattern !== undefined) {
+                var expression = regex(schema.pattern, "pattern");
+
+                if (expression !== null && !expression.test(data)) {
+                    fail("must match pattern '" + schema.pattern + "' but got '" + data + "'");
+                }
+            }
+
+            if (schema.format !== undefined &&
+                Object.prototype.hasOwnProperty.call(utils.formats, schema.format) &&
+                !utils.formats[schema.format](pm, data)) {
+                fail("must be a valid '" + schema.format + "' but got '" + data + "'");
+            }
+        }
+
+        if (type === "number") {
+            if (schema.minimum !== undefined && data < schema.minimum) {
+                fail("must be greater than or equal to " + schema.minimum + " but got " + data);
+            }
+
+            if (schema.maximum !== undefined && data > schema.maximum) {
+                fail("must be less than or equal to " + schema.maximum + " but got " + data);
+            }
+
+            if (typeof schema.exclusiveMinimum === 'number' && data <= schema.exclusiveMinimum) {
+                fail("must be greater than " + schema.exclusiveMinimum + " but got " + data);
+            }
+
+            if (typeof schema.exclusiveMaximum === 'number' && data >= schema.exclusiveMaximum) {
+                fail("must be less than " + schema.exclusiveMaximum + " but got " + data);
+            }
+
+            if (schema.multipleOf !== undefined &&
+                Math.abs(data / schema.multipleOf - Math.round(data / schema.multipleOf)) > 1e-9) {
+                fail("must be a multiple of " + schema.multipleOf + " but got " + data);
+            }
+        }
+
+        if (type === "object") {
+            var keys = Object.keys(data);
+
+            if (Array.isArray(schema.required)) {
+                schema.required.forEach(function(key) {
+                    if (!Object.prototype.hasOwnProperty.call(data, key)) {
+                        fail("must have required property '" + key + "'");
+                    }
+                });
+            }
+
+            if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+                fail("must have at least " + schema.minProperties + " properties");
+            }
+
+            if (schema.maxProperties !== undefined && keys.length > schema.maxProperties) {
+                fail("must have at most " + schema.maxProperties + " properties");
+            }
+
+            var properties = schema.properties || {};
+            var patterns   = schema.patternProperties || {};
+
+            keys.forEach(function(key) {
+                var known = false;
+
+                if (Object.prototype.hasOwnProperty.call(properties, key)) {
+                    known = true;
+                    nested(data[key], properties[key], child(key));
+                }
+
+                Object.keys(patterns).forEach(function(pattern) {
+                    var expression = regex(pattern, "patternProperties");
+
+                    if (expression !== null && expression.test(key)) {
+                        known = true;
+                        nested(data[key], patterns[pattern], child(key));
+                    }
+                });
+
+                if (!known && schema.additionalProperties !== undefined) {
+                    if (schema.additionalProperties === false) {
+                        errors.push({
+                            pointer: child(key),
+                            message: "additional property '" + key + "' is not allowed"
+                        });
+                    } else {
+                        nested(data[key], schema.additionalProperties, child(key));
+                    }
+                }
+            });
+        }
+
+        if (type === "array") {
+            if (schema.minItems !== undefined && data.length < schema.minItems) {
+                fail("must have at least " + schema.minItems + " item(s) but got " + data.length);
+            }
+
+            if (schema.maxItems !== undefined && data.length > schema.maxItems) {
+                fail("must have at most " + schema.maxItems + " item(s) but got " + data.length);
+            }
+
+            if (schema.uniqueItems === true) {
+                for (var i = 1; i < data.length; i++) {
+                    for (var j = 0; j < i; j++) {
+                        if (utils.jsonEqual(pm, data[i], data[j])) {
+                            fail("must have unique items but items " + j + " and " + i + " are equal");
+                        }
+                    }
+                }
+            }
+
+            // Draft 2020-12 uses 'prefixItems' for tuples, draft-07
+            // uses 'items' holding an array.
+            var prefix = Array.isArray(schema.prefixItems) ? schema.prefixItems :
+                (Array.isArray(schema.items) ? schema.items : []);
+            var rest   = Array.isArray(schema.items) ? schema.additionalItems : schema.items;
+
+            data.forEach(function(item, index) {
+                if (index < prefix.length) {
+                    nested(item, prefix[index], child(index));
+                } else if (rest !== undefined) {
+                    nested(item, rest, child(index));
+                }
+            });
+
+            if (schema.contains !== undefined &&
+                !data.some(function(item) {
+                    return utils.schemaValidate(pm, item, schema.contains, root).length === 0;
+                })) {
+                fail("must contain at least one item matching the 'contains' schema");
+            }
+        }
+
+        if (Array.isArray(schema.allOf)) {
+            schema.allOf.forEach(function(subschema) {
+                nested(data, subschema, pointer);
+            });
+        }
+
+        if (Array.isArray(schema.anyOf) && !schema.anyOf.some(passes)) {
+            fail("must match at least one schema in 'anyOf'");
+        }
+
+        if (Array.isArray(schema.oneOf)) {
+            var count = schema.oneOf.filter(passes).length;
+
+            if (count !== 1) {
+                fail("must match exactly one schema in 'oneOf' but matched " + count);
+            }
+        }
+
+        if (schema.not !== undefined && passes(schema.not)) {
+            fail("must not match the 'not' schema");
+        }
+
+        if (schema.if !== undefined) {
+            if (passes(schema.if)) {
+                if (schema.then !== undefined) {
+                    nested(data, schema.then, pointer);
+                }
+            } else if (schema.else !== undefined) {
+                nested(data, schema.else, pointer);
+            }
+        }
+
+        return errors;
+    },
+
+    // DESCRIPTION
+    // Returns true if the HTTP status code matches the expected status
+    // code, status class, range, or any item of the array holding them.
+    //
+    // PARAMETERS
+    // - status (integer, array, string, or object)
+    //  Same as in the 'test.positive' function.
+    //
+    // - code (integer)
+    //  Actual HTTP status code.
+    statusMatch: function(pm, status, code) {
+        if (Array.isArray(status)) {
+            return status.some(function(item) {
+                return utils.statusMatch(pm, item, code);
+            });
+        }
+
+        if (typeof status === 'number') {
+            return code === status;
+        }
+
+        if (typeof status === 'string') {
+            // Status class, such as '2xx' or '40x'.
+            if (/^[1-5][0-9x][0-9x]$/i.test(status)) {
+                return new RegExp("^" + status.replace(/x/gi, "\\d") + "$").test(String(code));
+            }
+
+            if (/^\d{3}$/.test(status)) {
+                return code === Number(status);
+            }
+        }
+
+        if (status !== null && typeof status === 'object' &&
+            ("min" in status || "max" in status)) {
+            return (status.min === undefined || status.min === null || code >= status.min) &&
+                (status.max === undefined || status.max === null || code <= status.max);
+        }
+
+        throw new Error("Invalid expected HTTP status code: " + JSON.stringify(status));
+    },
+
+    // DESCRIPTION
+    // Returns the description of the expected status code, status
+    // class, range, or array of them to be used in error messages.
+    //
+    // PARAMETERS
+    // - status (integer, array, string, or object)
+    //  Same as in the 'test.positive' function.
+    statusText: function(pm, status) {
+        var text = function(item) {
+            if (item !== null && typeof item === 'object') {
+                return (item.min === undefined || item.min === null ? "100" : item.min) + "-" +
+                    (item.max === undefined || item.max === null ? "599" : item.max);
+            }
+
+            return String(item);
+        };
+
+        if (Array.isArray(status)) {
+            if (status.length === 1) {
+                return text(status[0]);
+            }
+
+            return "one of [" + status.map(text).join(", ") + "]";
+        }
+
+        if (status !== null && typeof status === 'object') {
+            return "in range " + text(status);
+        }
+
+        if (typeof status === 'string' && /x/i.test(status)) {
+            return "in class " + status;
+        }
+
+        return text(status);
+    },
+
+    // DESCRIPTION
+    // Validates service code (and, optionally, error detail) returned
+    // in the problem details object by a negative test.
+    //
+    // PARAMETERS
+    // - response (object)
+    //  Problem details object returned in the response.
+    //
+    // - serviceCode
+    //  Same as in the 'test.negative' function.
+    serviceCode: function(pm, response, serviceCode) {
+        var options = serviceCode;
+
+        if (typeof serviceCode === 'string' ||
+            Array.isArray(serviceCode) ||
+            serviceCode instanceof RegExp) {
+            options = { value: serviceCode };
+        }
+
+        var name       = options.property;
+        var accepted   = options.value;
+        var ignoreCase = options.ignoreCase === true;
+
+        // If the service code contains colon or equal sign, it means
+        // that we may be using a non-default property name, so we will
+        // get it from the string preceding the separator character (the
+        // value can contain the separator character, because only the
+        // first occurrence of the separator character is considered to
+        // be a separator).
+        if (typeof accepted === 'string' &&
+            (name === undefined || name === null || name === "")) {
+            var separator = accepted.includes(":") ?
+                accepted.indexOf(":") : accepted.indexOf("=");
+
+            if (separator >= 0) {
+                name     = accepted.substring(0, separator);
+                accepted = accepted.substring(separator + 1);
+            }
+        }
+
+        if (name === undefined || name === null || name === "") {
+            name = utils.defaultServiceCodePropertyName;
+        }
+
+        if (accepted !== undefined && accepted !== null && accepted !== "") {
+            if (!Array.isArray(accepted)) {
+                accepted = [accepted];
+            }
+
+            var actual = utils.propertyValue(pm, response, name);
+
+            var matches = accepted.some(function(value) {
+                if (value instanceof RegExp) {
+                    return actual !== null && value.test(String(actual));
+                }
+
+                if (ignoreCase && typeof actual === 'string' && typeof value === 'string') {
+                    return actual.toUpperCase() === value.toUpperCase();
+                }
+
+                return actual === value;
+            });
+
+            if (!matches) {
+                var expected = accepted.map(function(value) {
+                    return (value instanceof RegExp) ? String(value) : "'" + value + "'";
+                });
+
+                pm.expect.fail(
+                    "Expected response '" + name + "' property to be " +
+                    (expected.length === 1 ? expected[0] : "one of " + expected.join(", ")) +
+                    (ignoreCase ? " (case-insensitive)" : "") +
+                    " but got '" + actual + "'");
+            }
+        }
+
+        var detail = options.detail;
+
+        if (detail !== undefined && detail !== null && detail !== "") {
+            var actualDetail = utils.propertyValue(pm, response, "detail");
+            var found;
+
+            if (detail instanceof RegExp) {
+                found = typeof actualDetail === 'string' && detail.test(actualDetail);
+            } else if (ignoreCase) {
+                found = typeof actualDetail === 'string' &&
+                    actualDetail.toUpperCase().includes(String(detail).toUpperCase());
+            } else {
+                found = typeof actualDetail === 'string' && actualDetail.includes(detail);
+            }
+
+            if (!found) {
+                pm.expect.fail("Expected response 'detail' property to " +
+                    ((detail instanceof RegExp) ? "match " + detail : "contain '" + detail + "'") +
+                    " but got '" + actualDetail + "'");
+            }
+        }
+    },
+
+    // DESCRIPTION
+    // Returns the value of the named response header (or undefined if
+    // the header is missing). Values of multiple headers with the same
+    // name are combined into a comma-separated list.
+    //
+    // PARAMETERS
+    // - name (string)
+    //  Header name (case-insensitive).
+    //
+    // - required (boolean, optional, default=false)
+    //  Set to 'true' to fail test if the header is missing.
+    headerValue: function(pm, name, required = false) {
+        var values = pm.response.headers.all().filter(function(header) {
+            return !header.disabled &&
+                String(header.key).toLowerCase() === name.toLowerCase();
+        }).map(function(header) {
+            return header.value;
+        });
+
+        if (values.length === 0) {
+            if (required) {
+                pm.expect.fail("Expected response to have '" + name + "' header");
+            }
+
+            return undefined;
+        }
+
+        return values.join(", ");
+    },
+
+    // DESCRIPTION
+    // Splits the list-valued header into items (commas inside quoted
+    // strings are not treated as separators).
+    //
+    // PARAMETERS
+    // - value (string)
+    //  Header value.
+    headerList: function(pm, value) {
+        var items  = [];
+        var item   = "";
+        var quoted = false;
+
+        for (var i = 0; i < value.length; i++) {
+            var c = value[i];
+
+            if (c === '"') {
+                quoted = !quoted;
+            } else if (c === "\\" && quoted && i + 1 < value.length) {
+                item += c;
+                c = value[++i];
+            } else if (c === "," && !quoted) {
+                items.push(item.trim());
+                item = "";
+                continue;
+            }
+
+            item += c;
+        }
+
+        items.push(item.trim());
+
+        return items.filter(function(item) {
+            return item !== "";
+        });
+    },
+
+    // DESCRIPTION
+    // Parses the header holding a list of directives, such as
+    // 'Cache-Control: no-cache, max-age=3600', into an object mapping
+    // lower-case directive names to values (directives without
+    // values are mapped to empty strings).
+    //
+    // PARAMETERS
+    // - value (string)
+    //  Header value.
+    headerDirectives: function(pm, value) {
+        var directives = {};
+
+        utils.headerList(pm, value).forEach(function(item) {
+            var separator = item.indexOf("=");
+
+            if (separator < 0) {
+                directives[item.toLowerCase()] = "";
+            } else {
+                directives[item.substring(0, separator).trim().toLowerCase()] =
+                    item.substring(separator + 1).trim().replace(/^"(.*)"$/, "$1");
+            }
+        });
+
+        return directives;
+    },
+
+    // DESCRIPTION
+    // Parses media type, such as 'application/json; charset=UTF-8',
+    // into an object holding the lower-case type and the parameters
+    // (parameter names and charset values are converted to lower case).
+    //
+    // PARAMETERS
+    // - value (string)
+    //  Media type.
+    headerMediaType: function(pm, value) {
+        var parts      = String(value).split(";");
+        var parameters = {};
+
+        parts.slice(1).forEach(function(part) {
+            var separator = part.indexOf("=");
+
+            if (separator < 0) {
+                return;
+            }
+
+            var name  = part.substring(0, separator).trim().toLowerCase();
+            var param = part.substring(separator + 1).trim().replace(/^"(.*)"$/, "$1");
+
+            parameters[name] = (name === "charset") ? param.toLowerCase() : param;
+        });
+
+        return {
+            type: parts[0].trim().toLowerCase(),
+            parameters: parameters
+        };
+    },
+
+    // DESCRIPTION
+    // Returns the response times collected during the test collection
+    // run (see 'utils.timingMeasure').
+    timingData: function(pm) {
+        var data = pm.collectionVariables.get(utils.timing.variableName);
+
+        if (data === undefined || data === null || data === "") {
+            return { requests: {}, folders: {}, violations: [] };
+        }
+
+        return JSON.parse(data);
+    },
+
+    // DESCRIPTION
+    // Saves the response time of the current request (along with the
+    // request and folder names) in the collection variable and returns
+    // an object holding the response time ('time') and the budget
+    // ('budget', null if no budget is set). The response time is saved
+    // once per request execution (the request script can run several
+    // tests).
+    timingMeasure: function(pm) {
+        var time   = pm.response.responseTime;
+        var budget = Number(pm.variables.get(utils.timing.budgetVariableName));
+        var folder = pm.variables.get(utils.run.folderVariableName);
+        var name   = pm.info.requestName;
+
+        if (isNaN(budget) || budget <= 0) {
+            budget = null;
+        }
+
+        if (pm.variables.get(utils.timing.requestVariableName) === name) {
+            return { time: time, budget: budget };
+        }
+
+        pm.variables.set(utils.timing.requestVariableName, name);
+
+        try {
+            var data = utils.timingData(pm);
+
+            if (!Object.prototype.hasOwnProperty.call(data.requests, name)) {
+                data.requests[name] = { times: [], budget: budget };
+            }
+
+            data.requests[name].times.push(time);
+            data.requests[name].budget = budget;
+
+            if (folder !== undefined && folder !== null && folder !== "") {
+                if (!Object.prototype.hasOwnProperty.call(data.folders, folder)) {
+                    data.folders[folder] = { times: [] };
+                }
+
+                data.folders[folder].times.push(time);
+            }
+
+            if (budget !== null && time > budget) {
+                data.violations.push({
+                    request: name,
+                    folder: folder,
+                    time: time,
+                    budget: budget
+                });
+            }
+
+            pm.collectionVariables.set(utils.timing.variableName, JSON.stringify(data));
+        } catch (e) {
+            console.warn("Cannot save response time: " + e.message);
+        }
+
+        return { time: time, budget: budget };
+    },
+
+    // DESCRIPTION
+    // Returns the object implementing the named variable scope.
+    //
+    // PARAMETERS
+    // - scope (string)
+    //  Variable scope: 'environment', 'collection', 'global', or 'local'.
+    variableScope: function(pm, scope) {
+        switch (String(scope).toLowerCase()) {
+            case "environment":
+                return pm.environment;
+            case "collection":
+                return pm.collectionVariables;
+            case "global":
+                return pm.globals;
+            case "local":
+                return pm.variables;
+            default:
+                throw new Error("Invalid variable scope '" + scope + "': expected " +
+                    "'environment', 'collection', 'global', or 'local'");
+        }
+    },
+
+    // DESCRIPTION
+    // Saves value captured by one of the 'utils.extract' functions
+    // in a variable and returns the saved value.
+    //
+    // PARAMETERS
+    // - variable (string)
+    //  Name of the variable.
+    //
+    // - value (object)
+    //  Captured value.
+    //
+    // - options
+    //  Same as in the 'utils.extract.json' function.
+    //
+    // - source (string)
+    //  Description of the value source used in messages.
+    //
+    // - name (string, optional)
+    //  Name of the source property, header, or cookie (the value is
+    //  masked in messages if the name is on the redaction list).
+    extractStore: function(pm, variable, value, options, source, name) {
+        if (options === undefined || options === null) {
+            options = {};
+        } else if (typeof options === 'string') {
+            options = { scope: options };
+        }
+
+        var scope    = options.scope || utils.extract.defaultScope;
+        var required = options.required !== false;
+
+        if (value !== undefined && value !== null &&
+            options.pattern !== undefined && options.pattern !== null) {
+            var match = options.pattern.exec(
+                (typeof value === 'object') ? JSON.stringify(value) : String(value));
+
+            value = (match === null) ? undefined : (match.length > 1 ? match[1] : match[0]);
+        }
+
+        if (value === undefined || value === null) {
+            var message = "Cannot extract '" + variable + "' variable from " + source +
+                (options.pattern ? " using pattern '" + options.pattern + "'" : "");
+
+            if (required) {
+                pm.expect.fail(message);
+            }
+
+            utils.trace.log(pm, message, "warn", "extract");
+
+            return undefined;
+        }
+
+        var text = (typeof value === 'object') ? JSON.stringify(value) : value;
+
+        utils.variableScope(pm, scope).set(variable, text);
+
+        utils.trace.log(pm, "Extracted " + scope + " variable '" + variable +
+            "' from " + source + ": '" + utils.redactValue(pm, text, [variable, name]) + "'",
+            "debug", "extract");
+
+        return value;
+    },
+
+    // DESCRIPTION
+    // Returns the array (or object) saved as JSON text in the variable
+    // (or the empty value if the variable is not set or invalid).
+    //
+    // PARAMETERS
+    // - scope (object)
+    //  Variable scope object, such as 'pm.collectionVariables'.
+    //
+    // - variable (string)
+    //  Name of the variable.
+    //
+    // - empty (array or object)
+    //  Value returned if the variable is not set.
+    cleanupList: function(pm, scope, variable, empty) {
+        var value = scope.get(variable);
+
+        if (value === undefined || value === null || value === "") {
+            return empty;
+        }
+
+        try {
+            value = JSON.parse(value);
+        } catch (e) {
+            return empty;
+        }
+
+        return (Array.isArray(value) === Array.isArray(empty) && value !== null &&
+            typeof value === 'object') ? value : empty;
+    },
+
+    // DESCRIPTION
+    // Converts resource (or template) definition to the object holding
+    // the URL, method, and array of headers.
+    //
+    // PARAMETERS
+    // - value (string or object)
+    //  Same as the 'resource' parameter of 'utils.cleanup.add'.
+    cleanupRequest: function(pm, value) {
+        if (typeof value === 'string') {
+            value = { url: value };
+        }
+
+        if (value === undefined || value === null || typeof value !== 'object' ||
+            typeof value.url !== 'string' || value.url === "") {
+            throw new Error("Invalid cleanup resource: expected a URL or an object with the 'url' property");
+        }
+
+        var headers = value.headers;
+
+        if (headers === undefined || headers === null) {
+            headers = [];
+        } else if (!Array.isArray(headers)) {
+            headers = Object.keys(headers).map(function(key) {
+                return { key: key, value: headers[key] };
+            });
+        }
+
+        return {
+            url: value.url,
+            method: value.method ? String(value.method).toUpperCase() : "DELETE",
+            headers: headers.map(function(header) {
+                return { key: header.key, value: String(header.value) };
+            })
+        };
+    },
+
+    // DESCRIPTION
+    // Returns the request deleting the registered resource (in the format
+    // accepted by 'pm.sendRequest').
+    //
+    // PARAMETERS
+    // - entry (object)
+    //  Registered resource.
+    //
+    // - templates (object)
+    //  Request templates.
+    cleanupResolve: function(pm, entry, templates) {
+        var request = entry;
+
+        if (entry.template !== undefined) {
+            if (!(entry.template in templates)) {
+                throw new Error("template '" + entry.template + "' is not defined");
+            }
+
+            request = templates[entry.template];
+        }
+
+        var resolve = function(text) {
+            if (entry.id !== undefined) {
+                text = text.replace(/\{id\}/g, encodeURIComponent(entry.id));
+            }
+
+            return (typeof pm.variables.replaceIn === 'function') ? pm.variables.replaceIn(text) : text;
+        };
+
+        return {
+            url: resolve(request.url),
+            method: request.method,
+            header: request.headers.map(function(header) {
+                return { key: header.key, value: resolve(header.value) };
+            })
+        };
+    },
+
+    // DESCRIPTION
+    // Returns token options with missing values set to defaults (null
+    // values are kept, e.g. 'lifetime: null' means no expiration).
+    //
+    // PARAMETERS
+    // - options (object)
+    //  Same as in the 'utils.auth' functions.
+    authOptions: function(pm, options) {
+        var result = {};
+
+        if (options !== undefined && options !== null) {
+            Object.keys(options).forEach(function(key) {
+                result[key] = options[key];
+            });
+        }
+
+        Object.keys(utils.auth.defaults).forEach(function(key) {
+            if (result[key] === undefined) {
+                result[key] = utils.auth.defaults[key];
+            }
+        });
+
+        return result;
+    },
+
+    // DESCRIPTION
+    // Returns the cached token object or null if the token is not cached.
+    //
+    // PARAMETERS
+    // - scope (object)
+    //  Variable scope.
+    //
+    // - variable (string)
+    //  Name of the variable caching the token.
+    authCached: function(pm, scope, variable) {
+        var value = scope.get(variable);
+
+        if (value === undefined || value === null || value === "") {
+            return null;
+        }
+
+        try {
+            value = JSON.parse(value);
+        } catch (e) {
+            return null;
+        }
 
-                if (value !== undefined) {
-                    if (value === null) {
-                        pm.expect(data[name]).to.not.be.null;
-                    } else {
-                        var msg = "Expected '" + name +
-                            "' property to not equal '" + value +
-                            "' but got '" + data[name] +
-                            "'";
+        return (value !== null && typeof value === 'object' && value.accessToken) ? value : null;
+    },
 
-                        pm.expect(data[name]).to.not.equal(value, msg);
-                    }
+    // DESCRIPTION
+    // Returns the token request definition accepted by 'pm.sendRequest'.
+    //
+    // PARAMETERS
+    // - options (object)
+    //  Token options.
+    //
+    // - grant (string)
+    //  Grant type.
+    //
+    // - refresh (string)
+    //  Refresh token (refresh token grant).
+    authRequest: function(pm, options, grant, refresh) {
+        var resolve = function(value) {
+            if (value === undefined || value === null) {
+                return value;
+            }
+
+            value = String(value);
+
+            return (typeof pm.variables.replaceIn === 'function') ? pm.variables.replaceIn(value) : value;
+        };
+
+        var url = resolve(options.url);
+
+        if (url === undefined || url === null || url === "") {
+            throw new Error("Invalid token endpoint URL: expected a non-empty string");
+        }
+
+        if (["client_credentials", "password", "refresh_token"].indexOf(grant) < 0) {
+            throw new Error("Invalid grant '" + grant +
+                "': expected 'client_credentials', 'password', or 'refresh_token'");
+        }
+
+        if (options.clientAuthentication !== "body" && options.clientAuthentication !== "basic") {
+            throw new Error("Invalid client authentication '" + options.clientAuthentication +
+                "': expected 'body' or 'basic'");
+        }
+
+        var clientId     = resolve(options.clientId);
+        var clientSecret = resolve(options.clientSecret);
+        var parameters   = [{ key: "grant_type", value: grant }];
+        var headers      = [
+            { key: "Content-Type", value: "application/x-www-form-urlencoded" },
+            { key: "Accept", value: "application/json" }
+        ];
+
+        var add = function(key, value) {
+            if (value !== undefined && value !== null && value !== "") {
+                parameters.push({ key: key, value: value });
+            }
+        };
+
+        if (grant === "client_credentials" && (clientId === undefined || clientId === null || clientId === "")) {
+            throw new Error("Invalid client identifier: expected a non-empty string");
+        }
+
+        if (grant === "password") {
+            if (options.username === undefined || options.username === null || options.username === "") {
+                throw new Error("Invalid user name: expected a non-empty string for password grant");
+            }
+
+            add("username", resolve(options.username));
+            add("password", resolve(options.password));
+        }
+
+        if (grant === "refresh_token") {
+            if (refresh === undefined || refresh === null || refresh === "") {
+                throw new Error("Invalid refresh token: expected a non-empty string for refresh token grant");
+            }
+
+            add("refresh_token", resolve(refresh));
+        }
+
+        // Scope of the refreshed token defaults to the original scope.
+        if (grant !== "refresh_token") {
+            add("scope", resolve(options.scope));
+            add("audience", resolve(options.audience));
+        }
+
+        if (clientId !== undefined && clientId !== null && clientId !== "") {
+            if (options.clientAuthentication === "basic") {
+                // Credentials must be form-encoded before encoding them
+                // in Base64 (RFC 6749, section 2.3.1).
+                headers.push({
+                    key: "Authorization",
+                    value: "Basic " + btoa(encodeURIComponent(clientId) + ":" +
+                        encodeURIComponent(clientSecret || ""))
+                });
+            } else {
+                add("client_id", clientId);
+                add("client_secret", clientSecret);
+            }
+        }
+
+        if (options.parameters !== undefined && options.parameters !== null) {
+            Object.keys(options.parameters).forEach(function(key) {
+                add(key, resolve(options.parameters[key]));
+            });
+        }
+
+        return {
+            url: url,
+            method: "POST",
+            header: headers,
+            body: {
+                mode: "urlencoded",
+                urlencoded: parameters
+            }
+        };
+    },
+
+    // DESCRIPTION
+    // Returns the token object built from the token endpoint response
+    // or null if the response does not hold a valid token.
+    //
+    // PARAMETERS
+    // - options (object)
+    //  Token options.
+    //
+    // - response (object)
+    //  Token endpoint response.
+    //
+    // - refresh (string)
+    //  Refresh token used to get the token (kept if the token endpoint
+    //  does not return a new one).
+    authToken: function(pm, options, response, refresh) {
+        if (response.code < 200 || response.code > 299) {
+            return null;
+        }
+
+        var data = null;
+
+        try {
+            data = response.json();
+        } catch (e) {
+            return null;
+        }
+
+        if (data === null || typeof data !== 'object' || !data.access_token) {
+            return null;
+        }
+
+        var expiresIn = Number(data.expires_in);
+
+        if (data.expires_in === undefined || data.expires_in === null || isNaN(expiresIn)) {
+            expiresIn = (options.lifetime === undefined || options.lifetime === null) ?
+                null : Number(options.lifetime);
+        }
+
+        var type = data.token_type ? String(data.token_type) : "Bearer";
+
+        return {
+            accessToken: String(data.access_token),
+            tokenType: (type.toLowerCase() === "bearer") ? "Bearer" : type,
+            refreshToken: data.refresh_token ? String(data.refresh_token) : (refresh || null),
+            scope: data.scope ? String(data.scope) : null,
+            expiresAt: (expiresIn === null) ? null : Date.now() + expiresIn * 1000
+        };
+    },
+
+    // DESCRIPTION
+    // Returns the description of the error returned by the token endpoint.
+    //
+    // PARAMETERS
+    // - request (object)
+    //  Token request.
+    //
+    // - response (object)
+    //  Token endpoint response.
+    authError: function(pm, request, response) {
+        var message = "token endpoint " + request.url + " returned " + response.code +
+            (response.status ? " " + response.status : "");
+
+        var data = null;
+
+        try {
+            data = response.json();
+        } catch (e) {
+        }
+
+        if (data === null || typeof data !== 'object') {
+            return message + ((response.code >= 200 && response.code <= 299) ?
+                " without valid JSON" : "");
+        }
+
+        // Error response defined in RFC 6749, section 5.2.
+        if (data.error_description) {
+            return message + ": " + data.error_description + (data.error ? " (" + data.error + ")" : "");
+        }
+
+        if (data.error) {
+            return message + ": " + ((typeof data.error === 'object') ?
+                JSON.stringify(data.error) : data.error);
+        }
+
+        if (response.code >= 200 && response.code <= 299) {
+            return message + " without access token";
+        }
+
+        return message;
+    },
+
+    // DESCRIPTION
+    // Returns polling options with missing values set to defaults.
+    //
+    // PARAMETERS
+    // - options (object)
+    //  Same as in the 'utils.poll' functions.
+    pollOptions: function(pm, options) {
+        var result = {};
+
+        Object.keys(utils.poll.defaults).forEach(function(key) {
+            result[key] = (options !== undefined && options !== null &&
+                options[key] !== undefined && options[key] !== null) ?
+                options[key] : utils.poll.defaults[key];
+        });
+
+        return result;
+    },
+
+    // DESCRIPTION
+    // Returns true if the response satisfies the polling condition.
+    //
+    // PARAMETERS
+    // - predicate (function)
+    //  Same as in the 'utils.poll' functions.
+    //
+    // - response (object)
+    //  Response object.
+    pollCheck: function(pm, predicate, response) {
+        try {
+            return predicate(response) === true;
+        } catch (e) {
+            utils.trace.log(pm, "Polling condition failed: " + e.message, "debug", "poll");
+            return false;
+        }
+    },
+
+    // DESCRIPTION
+    // Returns the delay (in milliseconds) before the next polling attempt
+    // based on the backoff strategy and the 'Retry-After' header.
+    //
+    // PARAMETERS
+    // - options (object)
+    //  Polling options.
+    //
+    // - number (integer)
+    //  Number of the last attempt (starting from 1).
+    //
+    // - response (object, optional)
+    //  Response returned by the last attempt.
+    pollDelay: function(pm, options, number, response) {
+        var delay = options.delay;
+
+        if (options.backoff === "exponential") {
+            delay = delay * Math.pow(options.factor, number - 1);
+        }
+
+        delay = Math.min(delay, options.maxDelay);
+
+        // The delay requested by the server is not capped.
+        if (options.retryAfter && response !== undefined && response !== null) {
+            var retryAfter = response.headers.get("Retry-After");
+
+            if (retryAfter !== undefined && retryAfter !== null && retryAfter !== "") {
+                // The value can hold either seconds or HTTP date.
+                var wait = /^\d+$/.test(String(retryAfter).trim()) ?
+                    Number(retryAfter) * 1000 : Date.parse(retryAfter) - Date.now();
+
+                if (!isNaN(wait) && wait > delay) {
+                    delay = wait;
                 }
             }
-        },
+        }
 
-        // DESCRIPTION
-        // Functions validating string properties.
-        string: {
+        return Math.round(delay);
+    },
 
-            // DESCRIPTION
-            // Expects the string object property to exist and
-            // be exactly the same as the specified value.
-            //
-            // PARAMETERS
-            // - data
-            //  Same as in 'utils.expect.property.exist'.
-            //
-            // - name
-            //  Same as in 'utils.expect.property.exist'.
-            //
-            // - value (string)
-            //  Expected string value (can be null).
-            //
-            // - ignoreCase (boolean, default=false)
-            //  Set to 'true' for case-insensitive comparisons.
-            exact: function(pm, data, name, value, ignoreCase = false) {
-                utils.expect.property.exist(pm, data, name);
+    // DESCRIPTION
+    // Returns page options with missing values set to defaults.
+    //
+    // PARAMETERS
+    // - options (object)
+    //  Same as in the 'utils.expect.response.page' function.
+    pageOptions: function(pm, options) {
+        var result = {};
+
+        Object.keys(utils.expect.response.pageDefaults).forEach(function(key) {
+            result[key] = (options !== undefined && options !== null &&
+                options[key] !== undefined) ?
+                options[key] : utils.expect.response.pageDefaults[key];
+        });
 
-                if (value === null) {
-                    pm.expect(data[name]).to.be.null;
-                } else {
-                    var msg = "Expected '" + name +
-                        "' property to match '" + value +
-                        "' but got '" + data[name] +
-                        "'";
+        return result;
+    },
 
-                    if (ignoreCase) {
-                        pm.expect(data[name].toUpperCase()).to.equal(value.toUpperCase(),
-                            msg + " (case-insensitive)");
-                    } else {
-                        pm.expect(data[name]).to.equal(value, msg + " (case-sensitive)");
-                    }
+    // DESCRIPTION
+    // Validates page of a paginated collection and returns an object
+    // holding the page items, total, offset, next and previous page
+    // cursors or links (null if missing), and the URL of the next page
+    // (null if there are no more pages).
+    //
+    // PARAMETERS
+    // - data (object)
+    //  Page returned in the response.
+    //
+    // - headers (object)
+    //  Response headers.
+    //
+    // - url (string)
+    //  Request URL.
+    //
+    // - options (object)
+    //  Page options.
+    pageCheck: function(pm, data, headers, url, options) {
+        var page = {
+            items: null,
+            total: null,
+            offset: null,
+            next: null,
+            prev: null,
+            url: null
+        };
+
+        var envelope = (data !== null && typeof data === 'object' && !Array.isArray(data));
+
+        if (options.items !== null && options.items !== "") {
+            page.items = utils.propertyValue(pm, data, options.items);
+
+            if (!Array.isArray(page.items)) {
+                pm.expect.fail("Expected '" + options.items + "' property to be an array but got '" +
+                    JSON.stringify(page.items) + "'");
+            }
+        } else if (Array.isArray(data)) {
+            page.items = data;
+        } else if (envelope && Array.isArray(data.items)) {
+            page.items = data.items;
+        } else {
+            pm.expect.fail("Expected response to return an array or an object with the 'items' array");
+        }
+
+        var count = page.items.length;
+
+        var number = function(name, value, source) {
+            if (value === undefined || value === null || value === "") {
+                return null;
+            }
+
+            var result = Number(value);
+
+            if (!Number.isInteger(result) || result < 0) {
+                pm.expect.fail("Expected '" + name + "' " + source +
+                    " to be a non-negative integer but got '" + value + "'");
+            }
+
+            return result;
+        };
+
+        var limit = (options.limit !== null) ?
+            number("limit", options.limit, "option") :
+            number(options.limitParameter, utils.pageQuery(pm, url, options.limitParameter), "query parameter");
+
+        if (envelope && options.total !== null && options.total !== "") {
+            var total = utils.propertyResolve(pm, data, options.total);
+
+            if (total.exists) {
+                page.total = number(options.total, total.value, "property");
+            }
+        }
+
+        if (envelope && options.offset !== null && options.offset !== "") {
+            var offset = utils.propertyResolve(pm, data, options.offset);
+
+            if (offset.exists) {
+                page.offset = number(options.offset, offset.value, "property");
+            }
+        }
+
+        if (page.offset === null) {
+            page.offset = number(options.offsetParameter,
+                utils.pageQuery(pm, url, options.offsetParameter), "query parameter");
+        }
+
+        // Links returned in the 'Link' header take precedence.
+        var links = utils.pageLinks(pm, (headers && typeof headers.get === 'function') ?
+            headers.get("Link") : null);
+
+        var find = function(paths) {
+            paths = Array.isArray(paths) ? paths : [paths];
+
+            for (var i = 0; envelope && i < paths.length; i++) {
+                if (paths[i] === null || paths[i] === undefined || paths[i] === "") {
+                    continue;
                 }
-            },
 
-            // DESCRIPTION
-            // Expects the string object property to exist and contain the specified value.
-            //
-            // PARAMETERS
-            // - data
-            //  Same as in 'utils.expect.property.exist'.
-            //
-            // - name
-            //  Same as in 'utils.expect.property.exist'.
-            //
-            // - value (string)
-            //  Expected substring value (cannot be null).
-            //
-            // - ignoreCase (boolean, default=false)
-            //  Set to 'true' for case-insensitive comparisons.
-            partial: function(pm, data, name, value, ignoreCase = false) {
-                utils.expect.property.exist(pm, data, name);
+                var result = utils.propertyResolve(pm, data, paths[i]);
 
-                var msg = "Expected '" + name +
-                    "' property to contain '" + value +
-                    "' but got '" + data[name] +
-                    "'";
+                if (result.exists && result.value !== null && result.value !== "") {
+                    return result.value;
+                }
+            }
 
-                if (ignoreCase) {
-                    pm.expect(data[name].toUpperCase()).to.have.string(value.toUpperCase(), msg + " (case-insensitive)");
+            return null;
+        };
+
+        page.next = ("next" in links) ? links.next : find(options.next);
+        page.prev = ("prev" in links) ? links.prev :
+            (("previous" in links) ? links.previous : find(options.prev));
+
+        if (limit !== null && count > limit) {
+            pm.expect.fail("Expected page to have at most " + limit +
+                " item(s) (limit) but got " + count);
+        }
+
+        if (page.total !== null) {
+            var end = ((page.offset === null) ? 0 : page.offset) + count;
+
+            if (end > page.total) {
+                pm.expect.fail("Expected offset (" + ((page.offset === null) ? 0 : page.offset) +
+                    ") plus the number of items (" + count + ") to not exceed the total (" +
+                    page.total + ") but got " + end);
+            }
+
+            if (page.offset !== null) {
+                if (page.next !== null && end >= page.total) {
+                    pm.expect.fail("Expected no link to the next page after the last item (" +
+                        end + " of " + page.total + ") but got '" + page.next + "'");
+                }
+
+                // A page that is not full must be the last one.
+                if (limit !== null && count < limit && end !== page.total) {
+                    pm.expect.fail("Expected the last page (" + count + " of " + limit +
+                        " item(s)) to end at the total (" + page.total + ") but it ends at " + end);
+                }
+            }
+        }
+
+        if (page.next !== null) {
+            var next = String(page.next);
+
+            // The next page can be identified by a URL or a cursor.
+            page.url = (("next" in links) || /^([a-z][a-z0-9+.\-]*:|\/|\?)/i.test(next)) ?
+                utils.pageUrl(pm, url, next) :
+                utils.pageCursor(pm, url, options.cursorParameter, next);
+        } else if (page.total !== null && page.offset !== null && count > 0 &&
+            page.offset + count < page.total) {
+            page.url = utils.pageCursor(pm, url, options.offsetParameter, page.offset + count);
+        }
+
+        return page;
+    },
+
+    // DESCRIPTION
+    // Requests all pages following the current one and reports the
+    // result as a test (see 'utils.expect.response.page').
+    //
+    // PARAMETERS
+    // - first (object)
+    //  Current (first) page returned by 'utils.pageCheck'.
+    //
+    // - options (object)
+    //  Page options.
+    pageWalk: function(pm, first, options) {
+        var walk     = (options.walk !== null && typeof options.walk === 'object') ? options.walk : {};
+        var key      = walk.key ? walk.key : "id";
+        var maxPages = walk.maxPages ? walk.maxPages : 100;
+        var name     = walk.name ? walk.name : utils.name(pm) + " (all pages)";
+
+        var headers = (pm.request.headers && typeof pm.request.headers.all === 'function') ?
+            pm.request.headers.all().filter(function(header) {
+                return header && !header.disabled;
+            }).map(function(header) {
+                return { key: header.key, value: header.value };
+            }) : [];
+
+        var seen       = {};
+        var duplicates = [];
+        var count      = 0;
+        var visited    = [String(pm.request.url)];
+
+        var collect = function(items, number) {
+            items.forEach(function(item) {
+                var id = utils.propertyResolve(pm, item, key);
+
+                id = (id.exists && (id.value === null || typeof id.value !== 'object')) ?
+                    String(id.value) : JSON.stringify(item);
+
+                if (Object.prototype.hasOwnProperty.call(seen, id)) {
+                    duplicates.push("'" + id + "' (pages " + seen[id] + " and " + number + ")");
                 } else {
-                    pm.expect(data[name]).to.have.string(value, msg + " (case-sensitive)");
+                    seen[id] = number;
                 }
-            },
+            });
 
-            // DESCRIPTION
-            // Expects the string object property to exist and start with the specified value.
-            //
-            // PARAMETERS
-            // - data
-            //  Same as in 'utils.expect.property.exist'.
-            //
-            // - name
-            //  Same as in 'utils.expect.property.exist'.
-            //
-            // - value (string)
-            //  Expected beginning of the string value (cannot be null).
-            //
-            // - ignoreCase (boolean, default=false)
-            //  Set to 'true' for case-insensitive comparisons.
-            start: function(pm, data, name, value, ignoreCase = false) {
-                utils.expect.property.exist(pm, data, name);
+            count += items.length;
+        };
 
-                var msg = "Expected '" + name +
-                    "' property to start with '" + value +
-                    "' but got '" + data[name] +
-                    "'";
+        var finish = function(pages, failure) {
+            pm.test(name, function() {
+                try {
+                    utils.prologue(pm, name);
 
-                if (data[name] === null) {
-                    pm.fail(msg);
-                }
+                    if (failure !== null) {
+                        pm.expect.fail(failure);
+                    }
 
-                if (ignoreCase) {
-                    if (!data[name].toUpperCase().startsWith(value.toUpperCase())) {
-                        pm.fail(msg + " (case-insensitive)");
+                    if (duplicates.length > 0) {
+                        pm.expect.fail("Expected items to be unique across pages but got duplicate(s): " +
+                            duplicates.join(", "));
                     }
-                } else {
-                    if (!data[name].startsWith(value)) {
-                        pm.fail(msg + " (case-sensitive)");
+
+                    if (first.total !== null && count + ((first.offset === null) ? 0 : first.offset) !== first.total) {
+                        pm.expect.fail("Expected " + first.total + " item(s) (total) across " +
+                            pages + " page(s) but got " +
+                            (count + ((first.offset === null) ? 0 : first.offset)));
                     }
+                } catch (e) {
+                    utils.exception(pm, e, name);
+                } finally {
+                    utils.epilogue(pm, name);
                 }
-            },
+            });
+        };
 
-            // DESCRIPTION
-            // Expects the string object property to exist and end with the specified value.
-            //
-            // PARAMETERS
-            // - data
-            //  Same as in 'utils.expect.property.exist'.
-            //
-            // - name
-            //  Same as in 'utils.expect.property.exist'.
-            //
-            // - value (string)
-            //  Expected ending of the string value (cannot be null).
-            //
-            // - ignoreCase (boolean, default=false)
-            //  Set to 'true' for case-insensitive comparisons.
-            end: function(pm, data, name, value, ignoreCase = false) {
-                utils.expect.property.exist(pm, data, name);
+        var step = function(url, number) {
+            if (url === null) {
+                finish(number - 1, null);
+                return;
+            }
 
-                if (value !== undefined) {
-                    if (value === null) {
-                        pm.expect(data[name]).to.be.null;
-                    } else {
-                        var msg = "Expected '" + name +
-                            "' property to end with '" + value +
-                            "' but got '" + data[name] +
-                            "'";
+            if (number > maxPages) {
+                finish(number - 1, "Expected at most " + maxPages +
+                    " page(s) but the collection has more pages");
+                return;
+            }
 
-                        if (data[name] === null) {
-                            pm.fail(msg);
-                        }
+            if (visited.indexOf(url) >= 0) {
+                finish(number - 1, "Expected page " + (number - 1) +
+                    " to link to a new page but got '" + url + "'");
+                return;
+            }
 
-                        if (ignoreCase) {
-                            if (!data[name].toUpperCase().endsWith(value.toUpperCase())) {
-                                pm.fail(msg + " (case-insensitive)");
-                            }
-                        } else {
-                            if (!data[name].startsWith(value)) {
-                                pm.fail(msg + " (case-sensitive)");
-                            }
-                        }
-                    }
-                }
-            },
+            visited.push(url);
 
-            // DESCRIPTION
-            // Expects the string object property to exist and
-            // match the specified regular expression.
-            //
-            // PARAMETERS
-            // - data
-            //  Same as in 'utils.expect.property.exist'.
-            //
-            // - name
-            //  Same as in 'utils.expect.property.exist'.
-            //
-            // - value (regular expression)
-            //  Regular expression (can be null).
-            match: function(pm, data, name, value) {
-                utils.expect.property.exist(pm, data, name);
+            pm.sendRequest({ url: url, method: "GET", header: headers }, function(error, response) {
+                var page = null;
 
-                if (value !== undefined) {
-                    if (value === null) {
-                        pm.expect(data[name]).to.be.null;
-                    } else {
-                        var msg = "Expected '" + name +
-                            "' property to match regular expression '" + value +
-                            "' but got '" + data[name] +
-                            "'";
+                try {
+                    if (error !== null && error !== undefined) {
+                        throw new Error("request failed: " + error);
+                    }
 
-                        pm.expect(data[name]).to.match(value, msg);
+                    if (response.code < 200 || response.code > 299) {
+                        throw new Error("expected status code 2xx but got " + response.code);
                     }
+
+                    page = utils.pageCheck(pm, response.json(), response.headers, url, options);
+                } catch (e) {
+                    finish(number, "Page " + number + " (" + url + "): " + e.message);
+                    return;
                 }
-            },
 
-            // DESCRIPTION
-            // Negative string property check functions.
-            not: {
-                // DESCRIPTION
-                // Expects the string object property to exist and
-                // not match the specified regular expression.
-                //
-                // PARAMETERS
-                // - data
-                //  Same as in 'utils.expect.property.exist'.
-                //
-                // - name
-                //  Same as in 'utils.expect.property.exist'.
-                //
-                // - value (regular expression)
-                //  Regular expression (can be null).
-                match: function(pm, data, name, value) {
-                    utils.expect.property.exist(pm, data, name);
+                utils.trace.log(pm, name + ": Page " + number + " returned " +
+                    page.items.length + " item(s)", "debug", "page");
 
-                    if (value !== undefined) {
-                        if (value === null) {
-                            pm.expect(data[name]).to.not.be.null;
-                        } else {
-                            var msg = "Expected '" + name +
-                                "' property to not match regular expression '" + value +
-                                "' but got '" + data[name] +
-                                "'";
+                collect(page.items, number);
+                step(page.url, number + 1);
+            });
+        };
 
-                            pm.expect(data[name]).to.not.match(value, msg);
-                        }
-                    }
-                }
+        collect(first.items, 1);
+        step(first.url, 2);
+    },
+
+    // DESCRIPTION
+    // Parses the 'Link' header (RFC 8288) and returns an object mapping
+    // relation types (in lower case) to the link URLs.
+    //
+    // PARAMETERS
+    // - value (string)
+    //  Value of the 'Link' header.
+    pageLinks: function(pm, value) {
+        var links = {};
+
+        if (value === undefined || value === null || value === "") {
+            return links;
+        }
+
+        var regex = /<([^>]*)>([^<]*)/g;
+        var match = null;
+
+        while ((match = regex.exec(String(value))) !== null) {
+            var rel = /;\s*rel\s*=\s*(?:"([^"]*)"|([^\s;,]+))/i.exec(match[2]);
+
+            if (rel === null) {
+                continue;
             }
 
-        // End of 'utils.expect.property.string' functions.
+            (rel[1] !== undefined ? rel[1] : rel[2]).split(/\s+/).forEach(function(type) {
+                if (type !== "" && !Object.prototype.hasOwnProperty.call(links, type.toLowerCase())) {
+                    links[type.toLowerCase()] = match[1];
+                }
+            });
         }
-    // End of 'utils.expect.property' functions.
-    }
-    // End of 'utils.expect' functions.
+
+        return links;
     },
 
     // DESCRIPTION
-    // Functions implementing trace logging.
-    trace: {
+    // Returns the decoded value of the query parameter (or null).
+    //
+    // PARAMETERS
+    // - url (string)
+    //  URL.
+    //
+    // - name (string)
+    //  Name of the query parameter.
+    pageQuery: function(pm, url, name) {
+        if (name === undefined || name === null || name === "") {
+            return null;
+        }
 
-    // Variable used for setting and checking trace level.
-    variableName: "TRACE_LEVEL",
+        var match = new RegExp("[?&]" + utils.regexEscape(pm, name) + "=([^&#]*)").exec(url);
 
-    // Default trace level (start and end of functions).
-    defaultLevel: 2,
+        return (match === null) ? null : decodeURIComponent(match[1].replace(/\+/g, " "));
+    },
 
     // DESCRIPTION
-    // Functions setting trace level (must be called at beginning of test run).
-    set: {
-        // DESCRITION
-        // Do not print trace messages to console
-        // (trace level = 0).
-        none: function(pm) {
-            utils.trace.set.custom(pm, 0);
-        },
-
-        // DESCRITION
-        // Only print trace messages indicating start of the operation to console
-        // (trace level = 1).
-        minimal: function(pm) {
-            utils.trace.set.custom(pm, 1);
-        },
+    // Returns URL with the query parameter set to the specified value.
+    //
+    // PARAMETERS
+    // - url (string)
+    //  URL.
+    //
+    // - name (string)
+    //  Name of the query parameter.
+    //
+    // - value (string)
+    //  Value of the query parameter.
+    pageCursor: function(pm, url, name, value) {
+        var parts = url.split("#");
+        var regex = new RegExp("([?&]" + utils.regexEscape(pm, name) + "=)[^&]*");
 
-        // DESCRITION
-        // Print both start and end of operation trace messages to console.
-        // (trace level = 2).
-        all: function(pm) {
-            utils.trace.set.custom(pm, 2);
-        },
+        value = encodeURIComponent(String(value));
 
-        // DESCRITION
-        // Default is to print all.
-        // (trace level = 2).
-        default: function(pm) {
-            utils.trace.set.custom(pm, utils.trace.defaultLevel);
-        },
+        parts[0] = regex.test(parts[0]) ?
+            parts[0].replace(regex, function(match, prefix) { return prefix + value; }) :
+            parts[0] + (parts[0].indexOf("?") >= 0 ? "&" : "?") + name + "=" + value;
 
-        // DESCRITION
-        // You can set your own trace level higher than 2 and selectively
-        // print your trace messages.
-        // (trace level = level).
-        custom: function(pm, level) {
-            pm.collectionVariables.set(utils.trace.variableName, level)
-        }
+        return parts.join("#");
     },
 
     // DESCRIPTION
-    // Prints a trace message (normally about starting or ending function).
+    // Resolves the (relative) link against the request URL.
     //
     // PARAMETERS
-    // - message (string)
-    //     Trace message.
+    // - base (string)
+    //  Request URL.
     //
-    // - level (integer: 1, 2, ...)
-    //  Specifies trace level of the message which must not be greater than
-    //  the value of the 'trace' collection variable.
-    log: function(pm, message, level) {
-        var traceLevel =  Number(pm.collectionVariables.get(utils.trace.variableName));
+    // - url (string)
+    //  Absolute or relative link.
+    pageUrl: function(pm, base, url) {
+        if (/^[a-z][a-z0-9+.\-]*:/i.test(url)) {
+            return url;
+        }
 
-        if (traceLevel === undefined || traceLevel === null || traceLevel === NaN) {
-            traceLevel = utils.trace.defaultLevel;
+        var origin = /^([a-z][a-z0-9+.\-]*:)?(\/\/[^\/?#]*)?/i.exec(base);
+        var path   = base.split(/[?#]/)[0];
+
+        if (url.startsWith("//")) {
+            return (origin[1] ? origin[1] : "") + url;
         }
 
-        if (level === undefined || level === null || level === NaN) {
-            level = utils.trace.defaultLevel;
+        if (url.startsWith("/")) {
+            return origin[0] + url;
         }
-	    
-        if (traceLevel >= level) {
-            console.log(message);
+
+        if (url.startsWith("?")) {
+            return path + url;
         }
-    }
-    // End of 'utils.trace' functions.
-    },
 
-    // GENERAL-PURPOSE UTILITY FUNCTIONS
-    // The following are intended for public use (in test scripts).
+        return path.replace(/[^\/]*$/, "") + url;
+    },
 
     // DESCRIPTION
-    // Called from the pre-request scripts to indicate
-    // the start of the pre-request script execution.
+    // Saves the result of a primary test function or a folder level
+    // function in the collection variable for the run report.
     //
     // PARAMETERS
-    // - name
-    //  Same as in the 'test.initialize' function.
+    // - type (string)
+    //  Type of the function: 'Test', 'Script', or 'Pre-request'.
     //
-    // - suffix (string or integer)
-    //  Will be appended to the name (can be a number or a string).
-    name: function(pm, name, suffix) {
-        if (name === undefined || name === null || name === "") {
-            name = pm.info.requestName;
+    // - name (string)
+    //  Name of the test or script.
+    //
+    // - failure (string)
+    //  Failure message (null if the function succeeded).
+    //
+    // - duration (integer)
+    //  Response time (for tests) or script execution time in milliseconds.
+    //
+    // - outcome (string, optional)
+    //  Explicit outcome, such as 'skipped' (by default, the outcome is
+    //  'failed' if there is a failure message or 'passed' otherwise).
+    reportRecord: function(pm, type, name, failure, duration, outcome) {
+        try {
+            var data    = pm.collectionVariables.get(utils.report.variableName);
+            var results = (data === undefined || data === null || data === "") ?
+                [] : JSON.parse(data);
+
+            var folder = pm.variables.get(utils.run.folderVariableName);
+
+            results.push({
+                type: type,
+                name: name,
+                request: pm.info.requestName,
+                folder: (folder === undefined) ? null : folder,
+                iteration: pm.info.iteration,
+                outcome: outcome ? outcome : (failure ? "failed" : "passed"),
+                duration: (duration === undefined || isNaN(duration)) ? null : duration,
+                // Reports print messages as is, so mask secrets before saving.
+                message: failure ? utils.redact.text(pm, failure) : null
+            });
+
+            pm.collectionVariables.set(utils.report.variableName, JSON.stringify(results));
+        } catch (e) {
+            console.warn("Cannot save test result: " + e.message);
         }
+    },
 
-        if (suffix !== undefined && suffix !== null) {
-            name = name + suffix;
+    // DESCRIPTION
+    // Returns results collected during the test collection run.
+    //
+    // PARAMETERS
+    // - all
+    //  Same as in 'utils.report'.
+    reportResults: function(pm, all = false) {
+        var data = pm.collectionVariables.get(utils.report.variableName);
+
+        if (data === undefined || data === null || data === "") {
+            return [];
         }
 
-        return name;
+        return JSON.parse(data).filter(function(result) {
+            return all || result.type === "Test" || result.outcome !== "passed";
+        });
     },
 
     // DESCRIPTION
-    // Stops executing test collection.
-    stop: function(pm) {
-        postman.setNextRequest(null);
+    // Returns the object holding the number of all, passed, failed,
+    // and skipped results and the total duration.
+    //
+    // PARAMETERS
+    // - results (array)
+    //  Results returned by 'utils.reportResults'.
+    reportTotals: function(pm, results) {
+        var count = function(outcome) {
+            return results.filter(function(result) {
+                return result.outcome === outcome;
+            }).length;
+        };
+
+        return {
+            total: results.length,
+            passed: count("passed"),
+            failed: count("failed"),
+            skipped: count("skipped"),
+            duration: results.reduce(function(sum, result) {
+                return sum + (result.duration || 0);
+            }, 0)
+        };
     },
 
     // DESCRIPTION
-    // Skips execution to the specified test.
+    // Escapes special XML characters.
     //
     // PARAMETERS
-    // - name
-    //  Name of the test case in the running collection which
-    //  will be executed next.
-    skip: function(pm, name) {
-        postman.setNextRequest(name)
+    // - value (string)
+    //  Text to be escaped.
+    reportXml: function(pm, value) {
+        return String(value === undefined || value === null ? "" : value)
+            .replace(/&/g, "&amp;")
+            .replace(/</g, "&lt;")
+            .replace(/>/g, "&gt;")
+            .replace(/"/g, "&quot;")
+            .replace(/'/g, "&apos;");
     },
 
     // DESCRIPTION
-    // Waits/sleeps for the specified number of seconds (or milliseconds).
+    // Returns the problem details object from the response
+    // (fails test if the response does not hold a JSON object).
+    problemDetails: function(pm) {
+        var problem = null;
+
+        try {
+            problem = pm.response.json();
+        } catch (e) {
+            pm.expect.fail("Response must return a valid problem details object: " + e.message);
+        }
+
+        if (problem === null || typeof problem !== 'object' || Array.isArray(problem)) {
+            pm.expect.fail("Response must return a problem details object but got '" +
+                pm.response.text() + "'");
+        }
+
+        return problem;
+    },
+
+    // DESCRIPTION
+    // Expects problem details member to exist and equal (if the value
+    // is a string) or match (if the value is a regular expression) the
+    // specified value.
     //
     // PARAMETERS
-    // - timeout (positive integer)
-    //  Sleep/wait time in seconds (default) or milliseconds.
+    // - problem (object)
+    //  Problem details object.
     //
-    // - seconds (boolean)
-    //  Indicates whether timeout is specified in seconds (default or
-    //  if the value is true) or milliseconds (if the value is false).
-    wait: function(pm, timeout, seconds = true) {
+    // - member (string)
+    //  Name of the problem details member.
+    //
+    // - value (string or regular expression, optional)
+    //  Expected value or regular expression.
+    problemMember: function(pm, problem, member, value) {
+        if (value instanceof RegExp) {
+            utils.expect.property.string.match(pm, problem, member, value);
+        } else {
+            utils.expect.property.equal(pm, problem, member, value);
+        }
+    },
 
-        if (seconds) {
-            timeout *= 1000;
+    // DESCRIPTION
+    // Returns the 'errors' array of the problem details object
+    // (fails test if the array is missing or invalid).
+    //
+    // PARAMETERS
+    // - problem (object)
+    //  Problem details object.
+    problemErrors: function(pm, problem) {
+        var errors = utils.propertyValue(pm, problem, "errors");
+
+        if (!Array.isArray(errors)) {
+            pm.expect.fail("Expected problem details 'errors' member to be an array but got '" +
+                JSON.stringify(errors) + "'");
         }
 
-        setTimeout(function(){}, timeout);
-    },
+        errors.forEach(function(error, index) {
+            if (error === null || typeof error !== 'object' || Array.isArray(error)) {
+                pm.expect.fail("Expected problem details 'errors[" + index +
+                    "]' to be an object but got '" + JSON.stringify(error) + "'");
+            }
+        });
 
-    // PRIVATE FUNCTIONS
-    // The following functions are intended for private use only (within this library).
+        return errors;
+    },
 
     // DESCRIPTION
-    // Called from a primary test script to indicate
-    // the start of the script execution.
+    // Returns the entries of the problem details 'errors' array
+    // referencing the specified field.
     //
     // PARAMETERS
-    // - name
-    //  Same as in the 'test.initialize' function.
-    prologue: function(pm, name) {
-        if (name === undefined || name === null || name === "") {
-            name = pm.info.requestName;
+    // - errors (array)
+    //  Problem details 'errors' array.
+    //
+    // - field (string)
+    //  Same as in 'utils.expect.problem.error'.
+    problemFind: function(pm, errors, field) {
+        var pointer;
+
+        if (field.startsWith("#") || field.startsWith("/")) {
+            pointer = field.replace(/^#/, "");
+        } else {
+            pointer = utils.propertyPath(pm, field).map(function(key) {
+                return "/" + String(key).replace(/~/g, "~0").replace(/\//g, "~1");
+            }).join("");
         }
-        //console.info("TEST: " + name);
-        utils.trace.log(pm, name + ": Test started", 1);
+
+        return errors.filter(function(error) {
+            return (typeof error.pointer === 'string' && error.pointer.replace(/^#/, "") === pointer) ||
+                error.parameter === field ||
+                (typeof error.header === 'string' && error.header.toLowerCase() === field.toLowerCase());
+        });
     },
 
     // DESCRIPTION
-    // Called from a primary test script to indicate
-    // the start of the script execution.
+    // Returns the list of fields referenced by the problem details
+    // 'errors' array formatted for failure messages.
     //
     // PARAMETERS
-    // - name
-    //  Same as in the 'test.initialize' function.
-    epilogue: function(pm, name) {
-        if (name === undefined || name === null || name === "") {
-            name = pm.info.requestName;
+    // - errors (array)
+    //  Problem details 'errors' array.
+    problemFields: function(pm, errors) {
+        if (errors.length === 0) {
+            return "no errors";
         }
-        //console.info("DONE: " + name);
-        utils.trace.log(pm, name + ": Test ended", 2);
+
+        return "'" + errors.map(function(error) {
+            if ("pointer" in error) {
+                return error.pointer;
+            }
+            if ("parameter" in error) {
+                return "parameter " + error.parameter;
+            }
+            if ("header" in error) {
+                return "header " + error.header;
+            }
+            return JSON.stringify(error);
+        }).join("', '") + "'";
     },
 
     // ERROR HANDLING
@@ -1158,18 +9098,16 @@ utils = {
     // - name
     //  Same as in the 'test.initialize' function.
     exception: function(pm, e, name) {
-        //console.error(JSON.stringify(e.toJSON()).replace(/,\s*"stack".*$/, "}"));
-        //var response = pm.response.text();
-        //
-        //if (response != null) {
-        //    console.log(response);
-        //}
-        //if (e.actual != null) {
-        //    console.error("ActualResult: " + JSON.stringify(e.actual));
-        //}
-        console.error(name + ": " + e.name + ": " + e.message);
+        var message = utils.redact.text(pm, e.message);
+
+        // Print request and response details along with the trace
+        // messages buffered before the failure.
+        utils.diagnostics.print(pm, name);
+        utils.trace.flush(pm);
+
+        console.error(name + ": " + e.name + ": " + message);
 
-        pm.expect.fail(e.message);
+        pm.expect.fail(message);
     },
 
     // DESCRIPTION
@@ -1178,8 +9116,8 @@ utils = {
     // return a valid error.
     //
     // PARAMETERS
-    // - status (integer)
-    //  Actual HTTP status returned in the response.
+    // - status (integer, array, string, or object)
+    //  Expected HTTP status (same as in the 'test.positive' function).
     error: function(pm, status) {
         var error = null;
 
@@ -1188,7 +9126,8 @@ utils = {
         } catch {
         }
 
-        var message = "Expected response to have status code " + status +
+        var message = "Expected response to have status code " +
+                utils.statusText(pm, status) +
                 " but got " +  pm.response.code;
 
         if (error !== null) {
@@ -1198,9 +9137,16 @@ utils = {
             } else if ("title" in error) {
                 message += (": " + error.title);
             }
+
+            // Include fields rejected by the API (RFC 9457).
+            if (Array.isArray(error.errors) && error.errors.length > 0) {
+                message += " (" + utils.problemFields(pm, error.errors.filter(function(item) {
+                    return item !== null && typeof item === 'object';
+                })) + ")";
+            }
         }
 
-        pm.expect.fail(message);
+        pm.expect.fail(utils.redact.text(pm, message));
     }
 // End of 'utils' functions.
 };